@@ -0,0 +1,428 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, Text, Pressable, ScrollView, TextInput } from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import { playSound } from '../utils/audio';
+import {
+  getConfigValue,
+  getDefaultValue,
+  setConfigValue,
+  getOverrides,
+  applyOverrides,
+  resetToDefaults,
+  loadPresets,
+  savePreset,
+  deletePreset,
+  exportPreset,
+} from '../services/configStore';
+
+// Controls shown in the panel, by config section
+// Sliders: { path, min, max, step } - Toggles: { path, type: 'toggle' } - Choices: { path, options }
+const SECTIONS = [
+  {
+    title: 'physics',
+    controls: [
+      { path: 'physics.gravityY', min: 0.1, max: 3, step: 0.05 },
+      { path: 'physics.mascot.radius', min: 10, max: 60, step: 1 },
+      { path: 'physics.mascot.restitution', min: 0, max: 1, step: 0.05 },
+      { path: 'physics.mascot.friction', min: 0, max: 1, step: 0.01 },
+      { path: 'physics.mascot.frictionAir', min: 0, max: 0.05, step: 0.001 },
+      { path: 'physics.mascot.mass', min: 0.1, max: 5, step: 0.1 },
+      { path: 'physics.maxVelocityX', min: 5, max: 60, step: 1 },
+      { path: 'physics.maxVelocityY', min: 10, max: 80, step: 1 },
+      { path: 'physics.ccd.enabled', type: 'toggle' },
+    ],
+  },
+  {
+    title: 'gelato',
+    controls: [
+      { path: 'gelato.maxLength', min: 50, max: 500, step: 10 },
+      { path: 'gelato.thickness', min: 1, max: 12, step: 1 },
+      { path: 'gelato.springBoost', min: 0, max: 5, step: 0.1 },
+      { path: 'gelato.maxActiveGelatos', min: 1, max: 5, step: 1 },
+      { path: 'gelato.curve.simplifyTolerance', min: 0, max: 20, step: 1 },
+      { path: 'gelato.deformation.maxBendAmount', min: 0, max: 50, step: 1 },
+      { path: 'gelato.fadeOutDuration', min: 0, max: 2000, step: 50 },
+    ],
+  },
+  {
+    title: 'bounce',
+    controls: [
+      { path: 'bounce.minIntervalMs', min: 0, max: 500, step: 10 },
+    ],
+  },
+  {
+    title: 'walls',
+    controls: [
+      { path: 'walls.behavior', options: ['bounce', 'wrap'] },
+      { path: 'walls.restitution', min: 0, max: 1.5, step: 0.05 },
+      { path: 'walls.thickness', min: 1, max: 40, step: 1 },
+      { path: 'walls.visible', type: 'toggle' },
+    ],
+  },
+  {
+    title: 'loss',
+    controls: [
+      { path: 'loss.policy', options: ['restart', 'checkpoint', 'forgiving'] },
+      { path: 'loss.checkpointEvery', min: 1, max: 10, step: 1 },
+    ],
+  },
+  {
+    title: 'visuals',
+    controls: [
+      { path: 'visuals.wordFontSize', min: 40, max: 200, step: 5 },
+      { path: 'visuals.wordFadeMode', options: ['velocity', 'static'] },
+      { path: 'visuals.wordPersistMs', min: 0, max: 3000, step: 50 },
+      { path: 'visuals.wordFadeOutMs', min: 0, max: 3000, step: 50 },
+      { path: 'visuals.sentenceTrail.enabled', type: 'toggle' },
+      { path: 'visuals.sentenceTrail.style', options: ['text', 'dots'] },
+      { path: 'visuals.particles.enabled', type: 'toggle' },
+    ],
+  },
+  {
+    title: 'performance',
+    controls: [
+      { path: 'performance.logFrameStats', type: 'toggle' },
+    ],
+  },
+];
+
+/**
+ * Format a slider value with as many decimals as its step
+ */
+function formatValue(value, step) {
+  const decimals = step < 1 ? String(step).split('.')[1].length : 0;
+  return Number(value).toFixed(decimals);
+}
+
+/**
+ * Slider - Drag along the track to pick a value (snaps to step)
+ */
+function Slider({ value, min, max, step, onChange }) {
+  const [trackWidth, setTrackWidth] = useState(0);
+  const progress = Math.min(1, Math.max(0, (value - min) / (max - min)));
+
+  const valueAt = (locationX) => {
+    const ratio = Math.min(1, Math.max(0, locationX / trackWidth));
+    const raw = min + ratio * (max - min);
+    return Number((Math.round(raw / step) * step).toFixed(6));
+  };
+
+  const handleTouch = (event) => {
+    if (trackWidth === 0) return;
+    onChange(valueAt(event.nativeEvent.locationX));
+  };
+
+  return (
+    <View
+      style={styles.sliderTrack}
+      onLayout={(event) => setTrackWidth(event.nativeEvent.layout.width)}
+      onStartShouldSetResponder={() => true}
+      onMoveShouldSetResponder={() => true}
+      onResponderTerminationRequest={() => false}
+      onResponderGrant={handleTouch}
+      onResponderMove={handleTouch}
+    >
+      <View style={styles.sliderRail} pointerEvents="none" />
+      <View style={[styles.sliderFill, { width: `${progress * 100}%` }]} pointerEvents="none" />
+      <View style={[styles.sliderThumb, { left: progress * trackWidth - 8 }]} pointerEvents="none" />
+    </View>
+  );
+}
+
+/**
+ * Control - One config value with its label, current value and input
+ */
+function Control({ control, onChange }) {
+  const value = getConfigValue(control.path);
+  const isDefault = value === getDefaultValue(control.path);
+  const label = control.path.split('.').slice(1).join('.');
+
+  let input;
+  let displayValue;
+
+  if (control.type === 'toggle') {
+    displayValue = value ? 'on' : 'off';
+    input = (
+      <Pressable onPress={() => onChange(control.path, !value)} style={styles.choice}>
+        <Text style={styles.choiceText}>{displayValue}</Text>
+      </Pressable>
+    );
+  } else if (control.options) {
+    displayValue = value;
+    input = (
+      <View style={styles.choices}>
+        {control.options.map(option => (
+          <Pressable
+            key={option}
+            onPress={() => onChange(control.path, option)}
+            style={[styles.choice, option === value && styles.choiceSelected]}
+          >
+            <Text style={styles.choiceText}>{option}</Text>
+          </Pressable>
+        ))}
+      </View>
+    );
+  } else {
+    displayValue = formatValue(value, control.step);
+    input = (
+      <Slider
+        value={value}
+        min={control.min}
+        max={control.max}
+        step={control.step}
+        onChange={(newValue) => onChange(control.path, newValue)}
+      />
+    );
+  }
+
+  return (
+    <View style={styles.control}>
+      <View style={styles.controlHeader}>
+        <Text style={styles.controlLabel}>{label}</Text>
+        <Text style={[styles.controlValue, !isDefault && styles.controlValueEdited]}>{displayValue}</Text>
+      </View>
+      {input}
+    </View>
+  );
+}
+
+/**
+ * TuningPanel - Overlay for editing config values while the game runs
+ * Edits go through the config store, which notifies GameCore to re-apply them.
+ * Presets are saved locally and can be exported as JSON.
+ */
+export function TuningPanel({ onClose }) {
+  const [, forceUpdate] = useState(0);
+  const [presets, setPresets] = useState({});
+  const [presetName, setPresetName] = useState('');
+
+  useEffect(() => {
+    loadPresets().then(setPresets);
+  }, []);
+
+  const handleChange = (path, value) => {
+    setConfigValue(path, value);
+    forceUpdate(n => n + 1);
+  };
+
+  const handleReset = () => {
+    playSound('click');
+    resetToDefaults();
+    forceUpdate(n => n + 1);
+  };
+
+  const handleSavePreset = async () => {
+    const name = presetName.trim();
+    if (!name) return;
+
+    playSound('click');
+    setPresets(await savePreset(name));
+    setPresetName('');
+  };
+
+  const handleLoadPreset = (name) => {
+    playSound('click');
+    applyOverrides(presets[name]);
+    forceUpdate(n => n + 1);
+  };
+
+  const handleDeletePreset = async (name) => {
+    playSound('click');
+    setPresets(await deletePreset(name));
+  };
+
+  const handleExport = () => {
+    playSound('click');
+    exportPreset(presetName.trim() || 'current', getOverrides());
+  };
+
+  return (
+    // Swallow touches so dragging on the panel doesn't draw Gelatos underneath
+    <View style={styles.panel} onStartShouldSetResponder={() => true}>
+      <View style={styles.header}>
+        <Text style={styles.title}>tuning</Text>
+        <Pressable onPress={handleReset} style={styles.headerButton}>
+          <Feather name="rotate-ccw" size={16} color="#ffffff" />
+        </Pressable>
+        <Pressable onPress={onClose} style={styles.headerButton}>
+          <Feather name="x" size={18} color="#ffffff" />
+        </Pressable>
+      </View>
+
+      <ScrollView style={styles.scroll} contentContainerStyle={styles.scrollContent}>
+        {SECTIONS.map(section => (
+          <View key={section.title} style={styles.section}>
+            <Text style={styles.sectionTitle}>{section.title}</Text>
+            {section.controls.map(control => (
+              <Control key={control.path} control={control} onChange={handleChange} />
+            ))}
+          </View>
+        ))}
+
+        {/* Presets - saved locally as overrides of config.js */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>presets</Text>
+          <View style={styles.presetRow}>
+            <TextInput
+              value={presetName}
+              onChangeText={setPresetName}
+              placeholder="preset name"
+              placeholderTextColor="#555555"
+              style={styles.presetInput}
+              onSubmitEditing={handleSavePreset}
+            />
+            <Pressable onPress={handleSavePreset} style={styles.choice}>
+              <Text style={styles.choiceText}>save</Text>
+            </Pressable>
+            <Pressable onPress={handleExport} style={styles.choice}>
+              <Feather name="share" size={14} color="#ffffff" />
+            </Pressable>
+          </View>
+
+          {Object.keys(presets).map(name => (
+            <View key={name} style={styles.presetRow}>
+              <Pressable onPress={() => handleLoadPreset(name)} style={styles.presetName}>
+                <Text style={styles.choiceText}>{name}</Text>
+              </Pressable>
+              <Pressable onPress={() => exportPreset(name, presets[name])} style={styles.choice}>
+                <Feather name="share" size={14} color="#ffffff" />
+              </Pressable>
+              <Pressable onPress={() => handleDeletePreset(name)} style={styles.choice}>
+                <Feather name="trash-2" size={14} color="#ffffff" />
+              </Pressable>
+            </View>
+          ))}
+        </View>
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  panel: {
+    position: 'absolute',
+    top: 0,
+    right: 0,
+    bottom: 0,
+    width: 320,
+    maxWidth: '90%',
+    backgroundColor: 'rgba(10, 10, 10, 0.92)',
+    borderLeftWidth: 1,
+    borderLeftColor: 'rgba(255, 255, 255, 0.1)',
+    zIndex: 2000,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingTop: 50,
+    paddingHorizontal: 20,
+    paddingBottom: 12,
+    gap: 8,
+  },
+  title: {
+    flex: 1,
+    color: '#ffffff',
+    fontSize: 16,
+    letterSpacing: 1,
+  },
+  headerButton: {
+    padding: 8,
+  },
+  scroll: {
+    flex: 1,
+  },
+  scrollContent: {
+    paddingHorizontal: 20,
+    paddingBottom: 40,
+  },
+  section: {
+    marginTop: 16,
+  },
+  sectionTitle: {
+    color: '#888888',
+    fontSize: 11,
+    letterSpacing: 2,
+    textTransform: 'uppercase',
+    marginBottom: 8,
+  },
+  control: {
+    marginBottom: 12,
+  },
+  controlHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  controlLabel: {
+    color: '#cccccc',
+    fontSize: 12,
+  },
+  controlValue: {
+    color: '#888888',
+    fontSize: 12,
+  },
+  controlValueEdited: {
+    color: '#ffffff',
+  },
+  sliderTrack: {
+    height: 28,
+    justifyContent: 'center',
+  },
+  sliderRail: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    height: 2,
+    backgroundColor: 'rgba(255, 255, 255, 0.15)',
+  },
+  sliderFill: {
+    position: 'absolute',
+    left: 0,
+    height: 2,
+    backgroundColor: '#ffffff',
+  },
+  sliderThumb: {
+    position: 'absolute',
+    width: 16,
+    height: 16,
+    borderRadius: 8,
+    backgroundColor: '#ffffff',
+  },
+  choices: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  choice: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 999,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.3)',
+    alignSelf: 'flex-start',
+  },
+  choiceSelected: {
+    backgroundColor: 'rgba(255, 255, 255, 0.15)',
+  },
+  choiceText: {
+    color: '#ffffff',
+    fontSize: 12,
+  },
+  presetRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 8,
+  },
+  presetInput: {
+    flex: 1,
+    color: '#ffffff',
+    fontSize: 12,
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(255, 255, 255, 0.3)',
+  },
+  presetName: {
+    flex: 1,
+    paddingVertical: 6,
+  },
+});
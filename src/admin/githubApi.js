@@ -158,8 +158,8 @@ export async function updateMessageForDate(date, text) {
     // Split text into words
     const words = text.toLowerCase().split(/\s+/).filter(word => word.length > 0);
 
-    // Update message for the date
-    messagesData.messages[date] = { text, words };
+    // Update message for the date (keeping extra fields such as its level)
+    messagesData.messages[date] = { ...messagesData.messages[date], text, words };
 
     // Save back to GitHub
     const updated = await updateMessages(
@@ -235,8 +235,8 @@ export async function saveMessage(date, text, makeCurrent = false) {
       throw error;
     }
 
-    // Update message for the date
-    messagesData.messages[date] = { text, words };
+    // Update message for the date (keeping extra fields such as its level)
+    messagesData.messages[date] = { ...messagesData.messages[date], text, words };
 
     // If makeCurrent, also update the current date pointer
     if (makeCurrent) {
@@ -2,16 +2,25 @@
  * Bounsight - Game Configuration
  * All tunable constants in one place for easy vibe-coding.
  * Values are TBD and exploratory - will emerge through playtesting.
+ * Many can be tuned live from the tuning panel (src/admin/TuningPanel.jsx) - these are the defaults.
  */
 
 export const config = {
+  // === WORLD (Resolution-independent units) ===
+  // Gameplay sizes, distances and speeds are in world units, not screen pixels. The viewport's
+  // shorter side always spans `shortSide` units, so the game plays the same on a phone, a desktop
+  // browser or in landscape - only the drawing scale changes.
+  world: {
+    shortSide: 800,           // World units across the viewport's shorter side
+  },
+
   // === PHYSICS ===
   physics: {
     gravityY: 1.0,            // Gravity strength (0.5 = floaty, 2.0 = heavy)
 
     // Mascot (ball) physics properties
     mascot: {
-      radius: 30,             // Ball radius in pixels
+      radius: 30,             // Ball radius in world units
       restitution: 0.6,       // Bounciness on collision (0 = no bounce, 1 = perfect bounce)
       friction: 0.01,         // Surface friction when sliding (0 = frictionless, 1 = sticky)
       frictionAir: 0.005,     // Air resistance affecting terminal velocity (lower = falls faster)
@@ -26,26 +35,56 @@ export const config = {
 
     // Idle floating animation (before game starts)
     idleFloat: {
-      amplitude: 8,           // Vertical movement range in pixels (up/down from center)
+      amplitude: 8,           // Vertical movement range in world units (up/down from center)
       speed: 0.5,             // Cycles per second (lower = slower, more meditative)
     },
 
     // Velocity limits (safety valve to prevent extreme speeds)
-    maxVelocityX: 30,         // Maximum horizontal velocity in pixels/frame
-    maxVelocityY: 50,         // Maximum vertical velocity in pixels/frame
+    maxVelocityX: 30,         // Maximum horizontal velocity in world units/frame
+    maxVelocityY: 50,         // Maximum vertical velocity in world units/frame
+
+    // Fixed-timestep simulation (same inputs = same trajectory at any frame rate)
+    timestep: {
+      fixedStepMs: 1000 / 60, // Length of one physics step in milliseconds (one "frame" for the velocity limits above)
+      maxStepsPerFrame: 5,    // Max steps run per rendered frame before dropping time (prevents spiral on slow devices)
+    },
+
+    // Continuous collision (stops a fast mascot skipping clean over a thin Gelato between steps)
+    ccd: {
+      enabled: true,          // Sweep each step's move against Gelatos and bounce where it crossed
+      maxSubsteps: 8,         // Cap on the fallback substep checks per step (one per half radius moved)
+    },
   },
 
   // === GELATO (SPRINGBOARDS) ===
   gelato: {
-    maxLength: 230,           // Maximum line length in pixels (enforced during drawing)
-    thickness: 4,             // Visual line thickness in pixels
+    maxLength: 230,           // Maximum line length in world units (enforced during drawing)
+    thickness: 4,             // Visual line thickness in world units
     springBoost: 2.5,         // Trampoline bounce multiplier (1.0 = normal physics, 2.5 = 250% bounce back)
-    maxActiveGelatos: 1,      // How many Gelatos can exist simultaneously (currently: 1)
+    maxActiveGelatos: 1,      // How many Gelatos can exist simultaneously (oldest is removed when a new one exceeds this)
     color: '#FFFFFF',         // Line color (hex or rgba)
 
+    // Materials - each Gelato is drawn with one, chosen by the player
+    // type: 'spring' (trampoline), 'sticky' (catch then launch), 'ice' (deflect along the surface), 'cloud' (dissolve, no boost)
+    // bend / wobble scale the deformation animation's size and speed; fadeOutDuration overrides the shared fade
+    defaultMaterial: 'classic', // Material used when none is selected
+    materials: {
+      classic: { type: 'spring', color: '#FFFFFF', bend: 1, wobble: 1 }, // Uses springBoost above
+      super: { type: 'spring', color: '#FFD166', springBoost: 4.5, bend: 1.6, wobble: 1.3 },
+      sticky: { type: 'sticky', color: '#EF476F', holdMs: 350, launchSpeed: 22, bend: 0.6, wobble: 0.5 },
+      ice: { type: 'ice', color: '#8EECF5', tangentialBoost: 0.8, normalRestitution: 0.4, minSlideSpeed: 8, bend: 0.3, wobble: 2 },
+      cloud: { type: 'cloud', color: '#B8B8D0', catchDamping: 0.5, bend: 0.8, wobble: 0.7, fadeOutDuration: 250 },
+    },
+
+    // Curved Gelatos (built from the drawn path)
+    curve: {
+      simplifyTolerance: 6,   // How far (world units) the stroke can wander from a segment before it bends (higher = fewer, straighter segments)
+      minSegmentLength: 12,   // Shortest segment kept in world units (tiny segments make jittery collisions)
+    },
+
     // Visual deformation (trampoline effect on bounce)
     deformation: {
-      maxBendAmount: 20,      // Maximum bend distance in pixels (higher = more dramatic wobble)
+      maxBendAmount: 20,      // Maximum bend distance in world units (higher = more dramatic wobble)
       duration: 400,          // Total animation duration in milliseconds
       frequency: 3,           // Oscillation speed (higher = faster/snappier, lower = slower/gooier)
       damping: 0.6,           // Spring damping coefficient (0 = no decay, 1 = heavy decay, uses exponential)
@@ -53,7 +92,7 @@ export const config = {
 
     // Creation animation (pop-in effect when Gelato spawns)
     creation: {
-      maxBendAmount: 15,      // Maximum bend in pixels when appearing (from center of line)
+      maxBendAmount: 15,      // Maximum bend in world units when appearing (from center of line)
       duration: 300,          // How long the pop-in animation lasts in milliseconds
       frequency: 2,           // Oscillation speed (higher = faster wobble, lower = slower/gooier)
       damping: 0.5,           // Spring damping coefficient (lower = more bouncy, higher = settles faster)
@@ -63,24 +102,103 @@ export const config = {
     fadeOutDuration: 500,     // How long Gelato takes to fade out after bounce in milliseconds
   },
 
+  // === ASSIST (Optional help for new players, toggled in-game) ===
+  assist: {
+    trajectory: {
+      defaultEnabled: true,   // Whether the predicted arc shows until the player turns it off
+      maxSteps: 150,          // Longest prediction in physics steps (150 = 2.5s)
+      stepsAfterBounce: 45,   // How far to follow the arc after it leaves the Gelato
+      sampleEvery: 3,         // Physics steps between dots
+      dotRadius: 2.5,         // Dot size in world units
+      color: '#FFFFFF',       // Dot color (fades along the arc)
+      recomputeMs: 100,       // Fewest milliseconds between predictions while drawing (each runs a throwaway world)
+      recomputeDistance: 4,   // Mascot travel in world units before an unchanged stroke is predicted again
+    },
+  },
+
   // === BOUNCING ===
   bounce: {
     minIntervalMs: 100,       // Debounce timer in milliseconds to prevent double-bouncing on same Gelato
   },
 
+  // === LEVELS (Bumpers, platforms and no-draw zones - see src/game/levels) ===
+  levels: {
+    defaultLevel: null,       // Level id used when a message doesn't name one (null = open sky)
+    bumper: {
+      restitution: 0.8,       // Physics bounciness of bumpers
+      boost: 0.5,             // Extra kick on top of the reflected approach speed (0.5 = 150% of impact)
+      minKick: 6,             // Minimum outward speed in world units/frame, so slow touches still pop
+      color: '#FFFFFF',       // Bumper color
+    },
+    platform: {
+      thickness: 8,           // Platform thickness in world units
+      restitution: 0.4,       // Platform bounciness (platforms are solid ledges, not springboards)
+      color: '#888888',       // Platform color
+    },
+    noDrawZoneColor: 'rgba(255, 80, 80, 0.12)', // Fill for regions where Gelatos can't be drawn
+  },
+
+  // === COMBO (Consecutive bounces without a wall hit or fall) ===
+  combo: {
+    pointsPerBounce: 1,       // Base points per bounce, multiplied by the current streak length
+    heightBonus: 5,           // Extra points when a bounce lands higher than the previous one in the streak
+    milestones: [5, 10, 20, 35, 50], // Streak lengths that fire the combo sound/haptic
+    showIndicator: true,      // Whether to show the combo indicator
+    minCountToShow: 2,        // Streak length before the indicator appears
+    pointsPopupMs: 700,       // How long the "+points" feedback stays visible after a bounce
+  },
+
   // === WALLS (Screen Boundaries) ===
   walls: {
     behavior: 'bounce',       // Boundary behavior: 'bounce' (reflect) or 'wrap' (teleport to other side)
     restitution: 0.8,         // Wall bounciness (0 = absorbs all energy, 0.5 = loses half, 1 = perfect bounce)
-    thickness: 5,             // Thickness of boundary walls in pixels (affects physics collision edge)
-    visible: false,           // Whether to render walls visually (false = invisible boundaries at screen edges)
+    thickness: 5,             // Thickness of boundary walls in world units (affects physics collision edge, unused in 'wrap' mode)
+    visible: false,           // Whether to render walls visually (false = invisible boundaries at screen edges; level bodies always render)
+  },
+
+  // === LOSS (Falling off the bottom) ===
+  loss: {
+    policy: 'restart',        // After a fall: 'restart' (message from the top), 'checkpoint' (last word milestone) or 'forgiving' (keep all progress and score)
+    checkpointEvery: 3,       // Words between checkpoints in 'checkpoint' mode (1 = every word is a checkpoint)
+    recapMs: 1800,            // How long the carried-over words show during the re-entrance
+  },
+
+  // === MESSAGE COMPLETION (Recap after the last word) ===
+  completion: {
+    enabled: true,            // Pause on the last word and show the full sentence (false = silently loop)
+    wordStaggerMs: 180,       // Delay between each word appearing in the recap
+    celebrationMs: 1600,      // Duration of the celebration rings around the mascot
+    ringCount: 3,             // Number of expanding celebration rings
+  },
+
+  // === CAMERA (Upward-scrolling playfield) ===
+  camera: {
+    followLine: 0.25,         // Screen fraction from the top; the view scrolls up once the mascot rises above it (capped at the start line)
+    smoothing: 0.15,          // How quickly the camera catches up per physics step (0 = never, 1 = instantly)
+  },
+
+  // === PROGRESSION (Height counter) ===
+  progression: {
+    worldUnitsPerHeightUnit: 100, // World units per displayed height unit
+    unitLabel: 'm',               // Suffix shown after the height readout
+    showHeight: true,             // Whether to show the height readout
+  },
+
+  // === ADMIN (Hidden staircase unlock) ===
+  admin: {
+    staircase: {
+      bounces: 5,             // Consecutive bounces needed, each higher than the last
+      maxWidthRatio: 0.8,     // Each Gelato must be at most this fraction of the previous one's length (0.8 = 20% shorter)
+    },
   },
 
   // === HAPTICS (Mobile vibration feedback) ===
+  // Impacts: 'light', 'medium', 'heavy', 'soft', 'rigid' - Notifications: 'success', 'warning', 'error' - or 'selection'
   haptics: {
-    gelatoPlaced: 'light',    // Haptic feedback when drawing/placing a Gelato ('light', 'medium', 'heavy')
-    bounce: 'medium',         // Haptic feedback on bounce/word reveal
-    combo: 'success',         // Haptic for combo achievements (future feature)
+    gelatoPlaced: 'light',     // Haptic feedback when drawing/placing a Gelato
+    gelatoRejected: 'warning', // Haptic when a stroke lands in a no-draw zone and is refused
+    bounce: 'medium',          // Haptic feedback on bounce/word reveal
+    combo: 'success',          // Haptic for combo milestones (see combo.milestones)
   },
 
   // === AUDIO (Not yet implemented) ===
@@ -94,7 +212,77 @@ export const config = {
   visuals: {
     backgroundColor: '#0a0a0a',   // Canvas background color (dark mode)
     wordColor: '#FFFFFF',         // Text color for revealed words
-    wordFontSize: 145,            // Font size for revealed words in pixels
+    wordFontSize: 145,            // Font size for revealed words in world units (scaled to the viewport like everything else)
+
+    // Mascot face (sizes are fractions of the mascot radius so they follow radius changes)
+    face: {
+      enabled: true,              // Draw eyes and mouth on the mascot
+      eyeSpacing: 0.36,           // Horizontal distance of each eye from center
+      eyeOffsetY: -0.18,          // Eye height relative to center (negative = up)
+      eyeRadius: 0.09,            // Eye size
+      mouthOffsetY: 0.3,          // Mouth height relative to center
+      mouthWidth: 0.42,           // Mouth width
+      talkRate: 7,                // Mouth open/close cycles per second while a word is spoken
+      blinkEveryMs: 3500,         // Time between idle blinks
+      blinkMs: 120,               // Blink duration
+      moodVelocityThreshold: 3,   // Vertical speed (world units/frame) before the face shows rising/falling
+      lossExpressionMs: 2000,     // How long the sad face lingers after a fall
+    },
+
+    // Sentence trail (words revealed so far - a fall rewinds it per loss.policy)
+    sentenceTrail: {
+      enabled: true,              // Show the trail
+      style: 'text',              // 'text' (faint line of revealed words) or 'dots' (one dot per word)
+    },
+
+    // Particles (sparks, puffs and dissolve bursts drawn by the renderer)
+    particles: {
+      enabled: true,              // Global off switch (turn off on low-end devices)
+      maxParticles: 150,          // Oldest particles are dropped beyond this many alive at once
+      gravity: 600,               // Downward pull on particles in world units/s²
+
+      // Sparks where the mascot bounces on a Gelato (count and speed scale with bounce strength)
+      bounce: {
+        count: 4,                 // Sparks for the softest bounce
+        countPerStrength: 0.5,    // Extra sparks per unit of bounce strength (world units/frame into the Gelato)
+        maxCount: 20,             // Cap per bounce
+        speed: 12,                // Spark speed per unit of bounce strength in world units/s
+        spread: 1.2,              // Fan angle around the bounce normal in radians
+        lifetimeMs: 450,          // How long a spark lives
+        radius: 2,                // Spark size in world units
+        color: null,              // null = the Gelato's material color
+      },
+
+      // Small puff where the mascot bumps a side wall
+      wall: {
+        count: 6,                 // Puff particles per wall hit
+        speed: 90,                // Puff speed in world units/s
+        spread: 1.6,              // Fan angle away from the wall in radians
+        lifetimeMs: 350,          // How long a puff particle lives
+        radius: 3,                // Puff particle size in world units
+        color: 'rgba(255, 255, 255, 0.5)',
+      },
+
+      // Burst along a Gelato when it finishes fading out
+      dissolve: {
+        spacing: 12,              // World units of Gelato per particle
+        maxCount: 30,             // Cap per Gelato
+        speed: 40,                // Drift speed in world units/s
+        lifetimeMs: 600,          // How long a dissolve particle lives
+        radius: 1.5,              // Dissolve particle size in world units
+        color: null,              // null = the Gelato's material color
+      },
+
+      // Fizzle along a stroke refused by a no-draw zone
+      rejected: {
+        spacing: 10,              // World units of stroke per particle
+        maxCount: 30,             // Cap per stroke
+        speed: 30,                // Drift speed in world units/s
+        lifetimeMs: 400,          // How long a fizzle particle lives
+        radius: 2,                // Fizzle particle size in world units
+        color: 'rgba(255, 90, 90, 0.8)',
+      },
+    },
 
     // Word fade mode: controls how words fade in/out after bounce
     // - 'velocity': Text opacity syncs 1:1 with ball's velocity change (physics-based, organic feel)
@@ -109,6 +297,21 @@ export const config = {
     wordFadeOutMs: 1500,          // Phase 3: Fade-out duration from 100% → 0% opacity
   },
 
+  // === PERFORMANCE (Frame timing) ===
+  performance: {
+    logFrameStats: false,         // Log fps, frame/work time, dropped frames and React renders to the console
+    statsIntervalMs: 5000,        // How often the summary is logged
+    targetFrameMs: 1000 / 60,     // Expected frame time - gaps over 1.5x this count as dropped frames
+  },
+
+  // === DEBUG (physics overlay - ` key on web, three-finger tap on touch screens; off at every start) ===
+  debug: {
+    velocityScale: 4,             // Velocity arrow length per world unit/step of speed
+    normalLength: 60,             // Bounce normal arrow length in world units
+    normalMs: 800,                // How long each bounce normal stays on screen
+    lineWidth: 1.5,               // Outline stroke width in world units
+  },
+
   // === DRAWING ===
   drawing: {
     approach: 'continuous',       // Drawing method: 'continuous' (smooth path) or 'segmented' (snap to grid)
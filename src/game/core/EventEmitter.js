@@ -0,0 +1,55 @@
+/**
+ * EventEmitter - Minimal subscription API for game events
+ * Listeners are plain functions; a throwing listener is logged and doesn't stop the others.
+ */
+export class EventEmitter {
+  constructor() {
+    this.listeners = new Map(); // event -> Set of handlers
+  }
+
+  /**
+   * Subscribe to an event
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, handler) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(handler);
+    return () => this.off(event, handler);
+  }
+
+  /**
+   * Unsubscribe a handler
+   */
+  off(event, handler) {
+    const handlers = this.listeners.get(event);
+    if (handlers) {
+      handlers.delete(handler);
+    }
+  }
+
+  /**
+   * Notify all listeners of an event
+   */
+  emit(event, payload) {
+    const handlers = this.listeners.get(event);
+    if (!handlers) return;
+
+    // Copy so listeners can unsubscribe while being notified
+    [...handlers].forEach(handler => {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.warn(`Listener for "${event}" failed:`, error);
+      }
+    });
+  }
+
+  /**
+   * Drop every listener
+   */
+  removeAllListeners() {
+    this.listeners.clear();
+  }
+}
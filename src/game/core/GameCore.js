@@ -1,14 +1,56 @@
 import Matter from 'matter-js';
 import { config } from '../../config';
-import { playSound } from '../../utils/audio';
-import { playWordAudio } from '../../services/audioPlayer';
+import { createClock } from './clock';
+import { EventEmitter } from './EventEmitter';
+import { pathLength, pathIntersectsRect } from './pathGeometry';
+import { shapeGelatoPath, createGelatoBody } from './gelatoBody';
+import { predictTrajectory } from './trajectory';
+import { findMissedGelatoHit, findCrossedContact } from './sweep';
+import { viewportScale } from './viewport';
+import { resolveLevel } from '../levels';
+import { getMaterial, bounceVelocity, segmentNormal } from './materials';
 
 /**
  * GameCore - Physics engine using Matter.js
  * Handles all physics simulation, collision detection, and game state
+ *
+ * GameCore has no side effects of its own - audio, haptics and UI subscribe to events:
+ * - 'gelatoCreated'   { gelato }                          A Gelato was placed
+ * - 'bounce'          { gelato, x, y, strength, normal }  Mascot bounced on (or was caught by) a Gelato
+ * - 'wordRevealed'    { word, index, total }              Next word of the message revealed
+ * - 'messageComplete' { message }                         Last word of the message revealed
+ * - 'gelatoRejected'  { reason, points }                  A stroke couldn't become a Gelato ('noDrawZone'), points as shaped
+ * - 'gelatoRemoved'   { gelato, reason }                  A Gelato finished fading ('faded') or was pushed out by a new one ('evicted')
+ * - 'wallHit'         { x, y, speed }                     Mascot hit a side wall
+ * - 'bumperHit'       { x, y, speed }                     Mascot was kicked by a level bumper
+ * - 'combo'           { count, score }                    Combo streak reached a milestone
+ * - 'comboBroken'     { count }                           Streak ended by a wall hit or fall
+ * - 'loss'            { wordIndex, maxHeight }            Mascot fell off the bottom (before reset)
+ * - 'adminUnlock'     {}                                  Staircase gesture completed
+ * - 'pause' / 'resume' {}                                 Simulation frozen / continued
+ *
+ * Options:
+ * - clock: Simulation clock ({ now, advance }) - defaults to a fresh clock starting at 0
+ * - level: Level id or data (see src/game/levels) - defaults to config.levels.defaultLevel,
+ *          replaced by the loaded message's level when no custom message is given
  */
-export class GameCore {
-  constructor(width, height, customMessage = null) {
+export class GameCore extends EventEmitter {
+  constructor(width, height, customMessage = null, options = {}) {
+    super();
+
+    // Simulation clock - all internal timers read this instead of Date.now()
+    this.clock = options.clock || createClock();
+
+    // Leftover frame time not yet consumed by a fixed step
+    this.accumulator = 0;
+
+    // Number of fixed steps run so far (inputs are recorded against this)
+    this.stepCount = 0;
+
+    // Paused games ignore frame time entirely (timers read the sim clock, so they freeze too)
+    this.paused = false;
+    this.skipNextDelta = false; // First frame after resume carries the whole paused gap
+
     // Create Matter.js engine
     this.engine = Matter.Engine.create();
     this.world = this.engine.world;
@@ -16,19 +58,23 @@ export class GameCore {
     // Set gravity from config
     this.engine.gravity.y = config.physics.gravityY;
 
-    // Store dimensions
-    this.width = width;
-    this.height = height;
+    // width/height are the viewport in screen pixels (initial size is kept for replays) -
+    // the world is the same viewport measured in world units (see config.world)
+    this.viewScale = viewportScale(width, height);
+    this.width = width / this.viewScale;
+    this.height = height / this.viewScale;
+    this.initialWidth = width;
+    this.initialHeight = height;
 
     // Store custom message for preview mode
     this.customMessage = customMessage;
 
     // Store target position for entrance animation
-    this.mascotTargetY = height * 0.25; // 25% from top = 75% near top
+    this.mascotTargetY = this.height * 0.25; // 25% from top = 75% near top
 
     // Create mascot (starts above screen for entrance animation)
     this.mascot = Matter.Bodies.circle(
-      width / 2,
+      this.width / 2,
       -config.physics.mascot.radius * 2, // Start above screen
       config.physics.mascot.radius,
       {
@@ -43,8 +89,11 @@ export class GameCore {
 
     Matter.World.add(this.world, this.mascot);
 
+    // Radius the mascot body was built with (applyConfig rescales on change)
+    this.mascotRadius = config.physics.mascot.radius;
+
     // Track entrance animation
-    this.entranceStartTime = Date.now();
+    this.entranceStartTime = this.clock.now();
     this.entranceComplete = false;
 
     // Track idle float animation timing
@@ -55,53 +104,52 @@ export class GameCore {
 
     // Track loss state
     this.hasLost = false;
+    this.lastLossTime = null; // Sim time of the last fall (for the mascot's loss expression)
+    this.lossRecap = null; // { words, kept, timestamp } - words revealed before a fall (the first `kept` carry over)
 
-    // Create boundary walls using config
-    const wallThickness = config.walls.thickness;
-    const halfThickness = wallThickness / 2;
+    // Camera - world Y at the top of the viewport (only ever scrolls upward)
+    this.cameraY = 0;
 
-    // Side walls only (no bottom boundary - ball can fall off)
-    const leftWall = Matter.Bodies.rectangle(
-      halfThickness,
-      height / 2,
-      wallThickness,
-      height,
-      {
-        isStatic: true,
-        label: 'wall',
-        restitution: config.walls.restitution,
-      }
-    );
+    // Height climbed above the starting point (world units)
+    this.maxHeight = 0; // Highest point this run
+    this.bestHeight = 0; // Highest point ever (persisted by the app via setBestHeight)
 
-    const rightWall = Matter.Bodies.rectangle(
-      width - halfThickness,
-      height / 2,
-      wallThickness,
-      height,
-      {
-        isStatic: true,
-        label: 'wall',
-        restitution: config.walls.restitution,
-      }
-    );
+    // Create boundary walls using config (none in wrap mode)
+    this.obstacles = this.createWalls(this.width, this.height);
+    Matter.World.add(this.world, this.obstacles);
 
-    Matter.World.add(this.world, [leftWall, rightWall]);
+    // Level elements (bumpers, platforms, no-draw zones) - rebuilt on resize
+    // Each body: { type, body, width, height, radius }
+    this.level = null;
+    this.levelBodies = [];
+    this.loadLevel('level' in options ? options.level : config.levels.defaultLevel);
 
-    // Store obstacles for rendering
-    this.obstacles = [leftWall, rightWall];
+    // Track Gelatos (player-drawn springboards), oldest first
+    // Each: { id, body, material, points, length, createdAt, bounceImpact }
+    this.gelatos = [];
+    this.nextGelatoId = 1;
 
-    // Track Gelatos (player-drawn springboards)
-    this.gelato = null; // Only one Gelato at a time (maxActiveGelatos = 1)
-    this.gelatoLineData = null; // Store start/end points for rendering
+    // Sticky Gelato catch - { gelato, x, y, normal, angle, releaseAt } while the mascot is held
+    this.stickyHold = null;
 
     // Track last bounce time for debouncing
     this.lastBounceTime = 0;
 
-    // Track bounce impact for visual deformation
-    this.bounceImpact = null; // { x, y, strength, timestamp }
+    // Mascot position at the start of the current physics step (for continuous collision)
+    this.stepStart = null;
 
-    // Track creation time for pop-in animation
-    this.gelatoCreationTime = null;
+    // Combo - consecutive Gelato bounces without touching a wall or falling
+    this.combo = {
+      count: 0, // Current streak
+      best: 0, // Longest streak this session
+      score: 0, // Run score (resets on fall)
+      lastBounceY: null, // World Y of the previous bounce in the streak (for height bonus)
+      lastPoints: null, // { points, heightBonus, timestamp } of the latest bounce, for feedback
+    };
+
+    // Staircase gesture (admin unlock) - last few bounces { y, gelatoWidth, timestamp }
+    this.recentBounces = [];
+    this.adminUnlocked = false;
 
     // Message system (Milestone 3)
     // Use custom message if provided (for preview mode), otherwise use default
@@ -117,6 +165,13 @@ export class GameCore {
     this.wordIndex = 0; // Current word in message
     this.currentWord = null; // Currently displayed word { text, timestamp }
 
+    // Message completion - set when the last word is revealed, the world holds
+    // still until the player chooses to replay or keep bouncing
+    this.completion = null; // { message, timestamp }
+
+    // Input log for replays - every run is recorded from construction
+    this.inputLog = []; // { step, time, type, args }
+
     // Load current message from messages.json if not in preview mode
     if (!customMessage) {
       this.messageLoadPromise = this.loadCurrentMessage();
@@ -132,24 +187,86 @@ export class GameCore {
   }
 
   /**
-   * Update physics simulation
-   * Call this every frame with delta time
+   * Advance the simulation by real frame time
+   * Call this every frame with delta time. Time is consumed in fixed steps so the
+   * trajectory doesn't depend on the frame rate; leftover time carries to the next frame.
    */
   step(deltaMs) {
+    const { fixedStepMs, maxStepsPerFrame } = config.physics.timestep;
+
+    if (this.paused) return;
+    if (this.skipNextDelta) {
+      this.skipNextDelta = false;
+      return;
+    }
+
+    this.accumulator += deltaMs;
+
+    let steps = 0;
+    while (this.accumulator >= fixedStepMs && steps < maxStepsPerFrame) {
+      this.clock.advance(fixedStepMs);
+      this.fixedStep(fixedStepMs);
+      this.stepCount++;
+      this.accumulator -= fixedStepMs;
+      steps++;
+    }
+
+    // Device is too slow to catch up - drop the backlog rather than spiral
+    if (this.accumulator >= fixedStepMs) {
+      this.accumulator = 0;
+    }
+  }
+
+  /**
+   * Freeze the simulation (app backgrounded, tab hidden)
+   */
+  pause() {
+    if (this.paused) return;
+    this.paused = true;
+    this.emit('pause', {});
+  }
+
+  /**
+   * Continue after pause() - the next frame's delta is dropped so nothing jumps
+   */
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+    this.skipNextDelta = true;
+    this.accumulator = 0;
+    this.emit('resume', {});
+  }
+
+  /**
+   * Whether the simulation is paused
+   */
+  isPaused() {
+    return this.paused;
+  }
+
+  /**
+   * Run one fixed-length simulation step
+   */
+  fixedStep(deltaMs) {
+    // Hold the world still during the completion recap (clock keeps running for its animation)
+    if (this.completion) {
+      return;
+    }
+
     // Disable gravity before game starts (manual position control)
     if (!this.gameStarted) {
       Matter.Body.setVelocity(this.mascot, { x: 0, y: 0 });
     }
 
-    // Check for loss (ball fell below screen)
-    if (this.gameStarted && !this.hasLost && this.mascot.position.y > this.height + config.physics.mascot.radius * 2) {
+    // Check for loss (ball fell below the bottom of the view)
+    if (this.gameStarted && !this.hasLost && this.mascot.position.y > this.cameraY + this.height + config.physics.mascot.radius * 2) {
       this.handleLoss();
       return; // Skip physics update on loss frame
     }
 
     // Handle entrance animation (with delay)
     if (!this.entranceComplete) {
-      const elapsed = Date.now() - this.entranceStartTime;
+      const elapsed = this.clock.now() - this.entranceStartTime;
       const delayMs = config.physics.entrance.delayMs;
       const durationMs = config.physics.entrance.durationMs;
 
@@ -177,13 +294,13 @@ export class GameCore {
       if (progress >= 1) {
         this.entranceComplete = true;
         // Start idle float timing from now to ensure smooth transition
-        this.idleFloatStartTime = Date.now();
+        this.idleFloatStartTime = this.clock.now();
       }
     }
     // Handle floating animation when stationary (before game starts)
     else if (!this.gameStarted) {
       // Use time relative to when idle float started
-      const time = (Date.now() - this.idleFloatStartTime) / 1000; // Convert to seconds
+      const time = (this.clock.now() - this.idleFloatStartTime) / 1000; // Convert to seconds
 
       // Sine wave for smooth up/down motion using config values
       const offset = Math.sin(time * config.physics.idleFloat.speed * Math.PI * 2) * config.physics.idleFloat.amplitude;
@@ -194,8 +311,19 @@ export class GameCore {
       });
     }
 
+    this.stepStart = { x: this.mascot.position.x, y: this.mascot.position.y };
     Matter.Engine.update(this.engine, deltaMs);
 
+    // Fast enough to skip clean over a Gelato this step - bounce where it crossed
+    if (this.gameStarted && !this.stickyHold) {
+      this.catchMissedBounce();
+    }
+
+    // Sticky Gelato holding the mascot - pin it in place until launch
+    if (this.stickyHold) {
+      this.updateStickyHold();
+    }
+
     // Apply velocity capping (safety valve)
     const velocity = this.mascot.velocity;
     if (Math.abs(velocity.x) > config.physics.maxVelocityX) {
@@ -211,19 +339,23 @@ export class GameCore {
       });
     }
 
-    // Clean up Gelato after fade completes
-    if (this.bounceImpact && this.bounceImpact.timestamp) {
-      const timeSinceBounce = Date.now() - this.bounceImpact.timestamp;
-      if (timeSinceBounce >= config.gelato.fadeOutDuration) {
-        // Fade is complete - remove Gelato data
-        if (this.gelato) {
-          Matter.World.remove(this.world, this.gelato);
-          this.gelato = null;
-        }
-        this.gelatoLineData = null;
-        this.bounceImpact = null;
-      }
+    // Wrap around the screen edges instead of bouncing off walls
+    if (config.walls.behavior === 'wrap') {
+      this.wrapMascot();
     }
+
+    // Scroll the playfield and track height once the player is in control
+    if (this.gameStarted) {
+      this.updateCamera();
+      this.updateHeight();
+    }
+
+    // Clean up Gelatos whose fade has completed
+    const now = this.clock.now();
+    const faded = this.gelatos.filter(gelato =>
+      gelato.bounceImpact && now - gelato.bounceImpact.timestamp >= this.getFadeOutDuration(gelato)
+    );
+    faded.forEach(gelato => this.removeGelato(gelato, 'faded'));
   }
 
   /**
@@ -231,21 +363,87 @@ export class GameCore {
    */
   handleLoss() {
     this.hasLost = true;
+    this.lastLossTime = this.clock.now();
 
-    // Play loss sound
-    playSound('loss');
+    this.emit('loss', {
+      wordIndex: this.wordIndex,
+      maxHeight: this.maxHeight / config.progression.worldUnitsPerHeightUnit,
+    });
 
-    // Reset word index to start message from beginning
-    this.wordIndex = 0;
-    this.currentWord = null;
+    this.breakCombo();
+
+    // Where the message picks up again depends on the loss policy
+    const revealed = this.wordIndex;
+    const resumeIndex = this.getResumeWordIndex();
+    if (config.loss.policy !== 'forgiving') {
+      this.combo.score = 0;
+    }
+
+    this.resetRun(resumeIndex);
+    this.hasLost = false;
+
+    // Briefly show the words revealed so far while the mascot re-enters (every policy)
+    this.lossRecap = revealed > 0
+      ? { words: this.message.slice(0, revealed), kept: resumeIndex, timestamp: this.clock.now() }
+      : null;
+  }
+
+  /**
+   * Word to resume from after a fall (config.loss.policy)
+   * - 'restart':    the beginning of the message
+   * - 'checkpoint': the last word milestone reached (every config.loss.checkpointEvery words)
+   * - 'forgiving':  right where the player was
+   */
+  getResumeWordIndex() {
+    const { policy, checkpointEvery } = config.loss;
 
-    // Remove any existing gelato
-    if (this.gelato) {
-      Matter.World.remove(this.world, this.gelato);
-      this.gelato = null;
-      this.gelatoLineData = null;
-      this.bounceImpact = null;
+    switch (policy) {
+      case 'checkpoint': {
+        const every = Math.max(1, checkpointEvery);
+        return Math.floor(this.wordIndex / every) * every;
+      }
+      case 'forgiving':
+        return this.wordIndex;
+      case 'restart':
+        return 0;
+      default:
+        console.warn(`Unknown loss policy: ${policy}`);
+        return 0;
+    }
+  }
+
+  /**
+   * Get the words revealed before a fall, shown during the re-entrance
+   * Returns { words, kept, timestamp } for config.loss.recapMs after the fall, else null
+   * (the first `kept` words carry over under config.loss.policy)
+   */
+  getLossRecap() {
+    if (!this.lossRecap || this.clock.now() - this.lossRecap.timestamp >= config.loss.recapMs) {
+      return null;
     }
+    return this.lossRecap;
+  }
+
+  /**
+   * Reset to the start of a run: mascot re-enters from the top
+   * @param {number} wordIndex - Word the message resumes from (0 = from the beginning)
+   */
+  resetRun(wordIndex = 0) {
+    this.wordIndex = wordIndex;
+    this.currentWord = null;
+    this.lossRecap = null;
+
+    // Remove all existing gelatos
+    this.destroyGelatos();
+    this.stickyHold = null;
+
+    // A fall breaks any staircase in progress
+    this.recentBounces = [];
+
+    // Scroll back to the start (best height carries over, run height resets)
+    this.cameraY = 0;
+    this.maxHeight = 0;
+    this.updateWallPositions();
 
     // Reset ball to starting position (above screen)
     Matter.Body.setPosition(this.mascot, {
@@ -257,11 +455,10 @@ export class GameCore {
     Matter.Body.setVelocity(this.mascot, { x: 0, y: 0 });
 
     // Reset entrance animation
-    this.entranceStartTime = Date.now();
+    this.entranceStartTime = this.clock.now();
     this.entranceComplete = false;
     this.idleFloatStartTime = null;
     this.gameStarted = false;
-    this.hasLost = false;
   }
 
   /**
@@ -273,60 +470,377 @@ export class GameCore {
     for (const pair of pairs) {
       const { bodyA, bodyB } = pair;
 
-      // Check if mascot hit a Gelato
+      // Check if mascot hit a Gelato (pairs report the segment part, its parent is the Gelato body)
       const mascotBody = bodyA.label === 'mascot' ? bodyA : bodyB.label === 'mascot' ? bodyB : null;
-      const gelatoBody = bodyA.label === 'gelato' ? bodyA : bodyB.label === 'gelato' ? bodyB : null;
+      const gelatoPart = bodyA.label === 'gelato' ? bodyA : bodyB.label === 'gelato' ? bodyB : null;
+      const gelato = gelatoPart && this.gelatos.find(entry => entry.body === gelatoPart.parent);
 
-      if (mascotBody && gelatoBody) {
+      // (ignored while a sticky Gelato holds the mascot - the pinned mascot keeps touching it)
+      if (mascotBody && gelato && !this.stickyHold) {
         // Check debounce timer
-        const currentTime = Date.now();
+        const currentTime = this.clock.now();
         if (currentTime - this.lastBounceTime < config.bounce.minIntervalMs) {
           continue; // Skip this bounce (too soon)
         }
 
         this.lastBounceTime = currentTime;
 
-        // Apply spring boost perpendicular to Gelato
-        const angle = gelatoBody.angle;
-        const normalX = -Math.sin(angle); // Perpendicular to line
-        const normalY = Math.cos(angle);
-
-        // Calculate how hard the ball is hitting the Gelato (dot product)
-        const currentVelocity = mascotBody.velocity;
-        const impactSpeed = currentVelocity.x * normalX + currentVelocity.y * normalY;
-
-        // Apply trampoline effect: reflect velocity across normal and amplify
-        // Remove the component moving INTO the gelato and add it back multiplied
-        const boostVelocity = -impactSpeed * (1 + config.gelato.springBoost);
-
-        Matter.Body.setVelocity(mascotBody, {
-          x: currentVelocity.x + normalX * boostVelocity,
-          y: currentVelocity.y + normalY * boostVelocity,
-        });
-
-        // Play gelato bounce sound
-        playSound('gelato-bounce');
+        // Caught already past the segment's middle - Matter's push-out would shove the mascot
+        // the rest of the way through, so skip it for this contact
+        if (this.rewindToContact(gelato, gelatoPart)) {
+          pair.isActive = false;
+        }
 
-        // Store impact data for visual deformation
-        this.bounceImpact = {
-          x: mascotBody.position.x,
-          y: mascotBody.position.y,
-          strength: Math.abs(impactSpeed),
-          timestamp: currentTime,
-        };
+        this.bounceOnGelato(gelato, gelatoPart, currentTime);
+      }
 
-        // Reveal next word (Milestone 3)
-        this.revealNextWord();
+      // Check if mascot hit a bumper - kick it away from the bumper's center
+      const bumperBody = bodyA.label === 'bumper' ? bodyA : bodyB.label === 'bumper' ? bodyB : null;
+      if (mascotBody && bumperBody) {
+        this.kickFromBumper(bumperBody);
       }
 
       // Check if mascot hit a wall/boundary
       const wallBody = bodyA.label === 'wall' ? bodyA : bodyB.label === 'wall' ? bodyB : null;
       if (mascotBody && wallBody) {
-        playSound('wall-bump');
+        this.breakCombo();
+
+        const { x, y } = mascotBody.velocity;
+        this.emit('wallHit', {
+          x: mascotBody.position.x,
+          y: mascotBody.position.y,
+          speed: Math.sqrt(x * x + y * y),
+        });
       }
     }
   }
 
+  /**
+   * Continuous collision - find a Gelato the mascot passed through during the last step
+   * (see findMissedGelatoHit), move it back to where it touched and handle the contact as usual
+   */
+  catchMissedBounce() {
+    if (this.clock.now() - this.lastBounceTime < config.bounce.minIntervalMs) return;
+
+    // Clouds leave the world once touched
+    const solidGelatos = this.gelatos.filter(gelato => this.world.bodies.includes(gelato.body));
+    const from = this.stepStart;
+    const to = this.mascot.position;
+    const hit = findMissedGelatoHit(from, to, this.mascotRadius, solidGelatos);
+    if (!hit) return;
+
+    Matter.Body.setPosition(this.mascot, {
+      x: from.x + (to.x - from.x) * hit.t,
+      y: from.y + (to.y - from.y) * hit.t,
+    });
+    this.handleCollision({ pairs: [{ bodyA: this.mascot, bodyB: hit.part }] });
+  }
+
+  /**
+   * Move a fast mascot that ended the step past a segment's center line back to where it first
+   * touched the segment (see findCrossedContact)
+   * @returns {boolean} Whether the mascot was moved
+   */
+  rewindToContact(gelato, gelatoPart) {
+    const from = this.stepStart;
+    const to = this.mascot.position;
+    const t = findCrossedContact(from, to, this.mascotRadius, gelato, gelatoPart);
+    if (t === null) return false;
+
+    Matter.Body.setPosition(this.mascot, {
+      x: from.x + (to.x - from.x) * t,
+      y: from.y + (to.y - from.y) * t,
+    });
+    return true;
+  }
+
+  /**
+   * Mascot touched a Gelato - respond according to its material, then reveal the next word
+   */
+  bounceOnGelato(gelato, gelatoPart, timestamp) {
+    const material = getMaterial(gelato.material);
+    const mascot = this.mascot;
+
+    // Normal of the segment that was hit, facing the mascot
+    const normal = segmentNormal(gelatoPart, mascot.position);
+    const velocity = mascot.velocity;
+    const impactSpeed = velocity.x * normal.x + velocity.y * normal.y;
+
+    const impact = {
+      x: mascot.position.x,
+      y: mascot.position.y,
+      strength: Math.abs(impactSpeed),
+      timestamp,
+    };
+
+    if (material.type === 'sticky') {
+      // Catch and hold - launch happens in updateStickyHold (deformation/fade start then)
+      Matter.Body.setVelocity(mascot, { x: 0, y: 0 });
+      this.stickyHold = {
+        gelato,
+        x: impact.x,
+        y: impact.y,
+        normal,
+        angle: gelatoPart.angle,
+        releaseAt: timestamp + material.holdMs,
+      };
+    } else {
+      Matter.Body.setVelocity(mascot, bounceVelocity(material, velocity, normal, gelatoPart.angle));
+      gelato.bounceImpact = impact;
+    }
+
+    // Clouds dissolve on touch - the mascot passes straight through
+    if (material.type === 'cloud') {
+      Matter.World.remove(this.world, gelato.body);
+    }
+
+    this.emit('bounce', {
+      gelato: this.getGelatoRenderData(gelato),
+      x: impact.x,
+      y: impact.y,
+      strength: impact.strength,
+      normal,
+    });
+
+    // Extend the combo streak and score the bounce
+    this.scoreBounce(timestamp);
+
+    // Track bounce for the staircase admin gesture
+    this.trackStaircaseBounce(gelato, timestamp);
+
+    // Reveal next word (Milestone 3)
+    this.revealNextWord();
+  }
+
+  /**
+   * Hold the mascot on a sticky Gelato, then launch it along the surface normal
+   */
+  updateStickyHold() {
+    const hold = this.stickyHold;
+    const now = this.clock.now();
+
+    if (now < hold.releaseAt) {
+      Matter.Body.setPosition(this.mascot, { x: hold.x, y: hold.y });
+      Matter.Body.setVelocity(this.mascot, { x: 0, y: 0 });
+      return;
+    }
+
+    const material = getMaterial(hold.gelato.material);
+    Matter.Body.setVelocity(this.mascot, bounceVelocity(material, this.mascot.velocity, hold.normal, hold.angle));
+
+    // Deformation and fade start at launch
+    hold.gelato.bounceImpact = { x: hold.x, y: hold.y, strength: material.launchSpeed, timestamp: now };
+    this.stickyHold = null;
+  }
+
+  /**
+   * How long a Gelato takes to fade after its bounce (material override or shared default)
+   */
+  getFadeOutDuration(gelato) {
+    const material = getMaterial(gelato.material);
+    return material.fadeOutDuration !== undefined ? material.fadeOutDuration : config.gelato.fadeOutDuration;
+  }
+
+  /**
+   * Bumper collision: reflect the approach speed outward from the center and amplify it
+   */
+  kickFromBumper(bumperBody) {
+    const dx = this.mascot.position.x - bumperBody.position.x;
+    const dy = this.mascot.position.y - bumperBody.position.y;
+    const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+    const normalX = dx / distance;
+    const normalY = dy / distance;
+
+    const velocity = this.mascot.velocity;
+    const impactSpeed = velocity.x * normalX + velocity.y * normalY; // Negative when moving in
+    const kick = -Math.min(impactSpeed, 0) * (1 + config.levels.bumper.boost) + config.levels.bumper.minKick;
+
+    Matter.Body.setVelocity(this.mascot, {
+      x: velocity.x + normalX * kick,
+      y: velocity.y + normalY * kick,
+    });
+
+    this.emit('bumperHit', {
+      x: this.mascot.position.x,
+      y: this.mascot.position.y,
+      speed: Math.abs(impactSpeed),
+    });
+  }
+
+  /**
+   * Add a bounce to the combo streak and award points
+   * Each bounce is worth more the longer the streak; bounces that land higher
+   * than the previous one in the streak earn a height bonus
+   */
+  scoreBounce(timestamp) {
+    const { pointsPerBounce, heightBonus, milestones } = config.combo;
+    const combo = this.combo;
+    const bounceY = this.mascot.position.y;
+
+    combo.count++;
+    combo.best = Math.max(combo.best, combo.count);
+
+    const gainedHeight = combo.lastBounceY !== null && bounceY < combo.lastBounceY;
+    const points = pointsPerBounce * combo.count + (gainedHeight ? heightBonus : 0);
+    combo.score += points;
+    combo.lastBounceY = bounceY;
+    combo.lastPoints = { points, heightBonus: gainedHeight, timestamp };
+
+    if (milestones.includes(combo.count)) {
+      this.emit('combo', { count: combo.count, score: combo.score });
+    }
+  }
+
+  /**
+   * End the current streak (wall hit or fall) - score is kept until the run ends
+   */
+  breakCombo() {
+    if (this.combo.count > 0) {
+      this.emit('comboBroken', { count: this.combo.count });
+    }
+    this.combo.count = 0;
+    this.combo.lastBounceY = null;
+  }
+
+  /**
+   * Get combo state for display
+   * Returns { count, best, score, lastPoints }
+   */
+  getCombo() {
+    const { count, best, score, lastPoints } = this.combo;
+    return { count, best, score, lastPoints };
+  }
+
+  /**
+   * Record a Gelato bounce and check for the staircase unlock
+   */
+  trackStaircaseBounce(gelato, timestamp) {
+    const { bounces } = config.admin.staircase;
+
+    this.recentBounces.push({
+      y: this.mascot.position.y,
+      gelatoWidth: gelato.length,
+      timestamp,
+    });
+    if (this.recentBounces.length > bounces) {
+      this.recentBounces.shift();
+    }
+
+    if (!this.adminUnlocked && this.validateStaircase(this.recentBounces)) {
+      this.adminUnlocked = true;
+      this.emit('adminUnlock', {});
+    }
+  }
+
+  /**
+   * Staircase pattern: N consecutive bounces, each higher (smaller world Y) than
+   * the last, each on a Gelato at least 20% shorter than the previous one
+   */
+  validateStaircase(bounces) {
+    const { bounces: required, maxWidthRatio } = config.admin.staircase;
+    if (bounces.length < required) return false;
+
+    for (let i = 1; i < bounces.length; i++) {
+      // Each bounce higher
+      if (bounces[i].y >= bounces[i - 1].y) return false;
+      // Each Gelato narrower
+      if (bounces[i].gelatoWidth > bounces[i - 1].gelatoWidth * maxWidthRatio) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Whether the staircase gesture has been performed
+   */
+  isAdminUnlocked() {
+    return this.adminUnlocked;
+  }
+
+  /**
+   * Get current simulation time (same time base as all GameCore timestamps)
+   */
+  getTime() {
+    return this.clock.now();
+  }
+
+  /**
+   * Follow the mascot upward once it rises above the follow line
+   * The camera never scrolls back down - falling below the view is a loss
+   */
+  updateCamera() {
+    const { followLine, smoothing } = config.camera;
+    // Never below the mascot's start line - otherwise the first fall would scroll the view
+    const line = Math.min(this.height * followLine, this.mascotTargetY);
+    const targetY = this.mascot.position.y - line;
+
+    if (targetY < this.cameraY) {
+      this.cameraY += (targetY - this.cameraY) * smoothing;
+      this.updateWallPositions();
+    }
+  }
+
+  /**
+   * Keep side walls spanning the visible part of the world
+   */
+  updateWallPositions() {
+    this.obstacles.forEach(wall => {
+      Matter.Body.setPosition(wall, {
+        x: wall.position.x,
+        y: this.cameraY + this.height / 2,
+      });
+    });
+  }
+
+  /**
+   * Track the highest point reached (height is measured up from the mascot's start)
+   */
+  updateHeight() {
+    const height = Math.max(0, this.mascotTargetY - this.mascot.position.y);
+    this.maxHeight = Math.max(this.maxHeight, height);
+    this.bestHeight = Math.max(this.bestHeight, height);
+  }
+
+  /**
+   * Get camera offset (world Y at the top of the screen) for rendering
+   */
+  getCameraY() {
+    return this.cameraY;
+  }
+
+  /**
+   * Convert a screen point (touch) to world coordinates
+   */
+  screenToWorld(point) {
+    return { x: point.x / this.viewScale, y: point.y / this.viewScale + this.cameraY };
+  }
+
+  /**
+   * Screen pixels per world unit for the current viewport
+   */
+  getViewScale() {
+    return this.viewScale;
+  }
+
+  /**
+   * Get height stats in display units
+   * Returns { current, max, best } - current height, this run's max, all-time best
+   */
+  getHeightStats() {
+    const unit = config.progression.worldUnitsPerHeightUnit;
+    return {
+      current: Math.max(0, this.mascotTargetY - this.mascot.position.y) / unit,
+      max: this.maxHeight / unit,
+      best: this.bestHeight / unit,
+    };
+  }
+
+  /**
+   * Seed the all-time best height (display units) from persisted storage
+   */
+  setBestHeight(best) {
+    this.bestHeight = Math.max(this.bestHeight, best * config.progression.worldUnitsPerHeightUnit);
+  }
+
   /**
    * Get mascot position for rendering
    */
@@ -341,117 +855,243 @@ export class GameCore {
    * Get all obstacles for rendering
    */
   getObstacles() {
-    return this.obstacles.map(body => ({
+    const walls = this.obstacles.map(body => ({
+      type: 'wall',
       x: body.position.x,
       y: body.position.y,
       width: body.bounds.max.x - body.bounds.min.x,
       height: body.bounds.max.y - body.bounds.min.y,
       angle: body.angle,
     }));
+
+    const levelBodies = this.levelBodies.map(({ type, body, width, height, radius }) => ({
+      type,
+      x: body.position.x,
+      y: body.position.y,
+      width,
+      height,
+      radius,
+      angle: body.angle,
+    }));
+
+    return [...walls, ...levelBodies];
   }
 
   /**
-   * Create a Gelato (springboard) from a drawn line
-   * Returns the line data if created, null if max length exceeded
+   * Get the level's no-draw zones in world units { x, y, width, height } (centers)
    */
-  createGelato(startX, startY, endX, endY) {
-    // Start the game on first gelato creation
-    if (!this.gameStarted) {
-      this.gameStarted = true;
-      // Ball is already dynamic, just enable physics by allowing gravity
-    }
+  getNoDrawZones() {
+    if (!this.level) return [];
+    return this.level.noDrawZones.map(zone => ({
+      x: zone.x * this.width,
+      y: this.levelToWorldY(zone.y),
+      width: zone.width * this.width,
+      height: zone.height * this.height,
+    }));
+  }
 
-    // Check max length constraint
-    const dx = endX - startX;
-    const dy = endY - startY;
-    const length = Math.sqrt(dx * dx + dy * dy);
+  /**
+   * Load a level (id, data or null), replacing the current level's bodies
+   */
+  loadLevel(level) {
+    this.level = resolveLevel(level);
+    this.buildLevelBodies();
+  }
 
-    if (length > config.gelato.maxLength) {
-      // Clamp to max length
-      const scale = config.gelato.maxLength / length;
-      endX = startX + dx * scale;
-      endY = startY + dy * scale;
-    }
+  /**
+   * Convert a level Y (screen heights up from the bottom of the starting view) to world Y
+   */
+  levelToWorldY(levelY) {
+    return this.height * (1 - levelY);
+  }
+
+  /**
+   * (Re)create static bodies for the current level at the current screen size
+   */
+  buildLevelBodies() {
+    this.levelBodies.forEach(({ body }) => Matter.World.remove(this.world, body));
+    this.levelBodies = [];
+
+    if (!this.level) return;
+
+    const { bumper, platform } = config.levels;
+
+    this.level.bumpers.forEach(({ x, y, radius }) => {
+      const size = radius * this.width;
+      this.levelBodies.push({
+        type: 'bumper',
+        body: Matter.Bodies.circle(x * this.width, this.levelToWorldY(y), size, {
+          isStatic: true,
+          label: 'bumper',
+          restitution: bumper.restitution,
+        }),
+        width: size * 2,
+        height: size * 2,
+        radius: size,
+      });
+    });
 
-    // Destroy previous Gelato if exists (only one at a time)
-    if (this.gelato) {
-      Matter.World.remove(this.world, this.gelato);
+    this.level.platforms.forEach(({ x, y, width, angle = 0 }) => {
+      const platformWidth = width * this.width;
+      this.levelBodies.push({
+        type: 'platform',
+        body: Matter.Bodies.rectangle(x * this.width, this.levelToWorldY(y), platformWidth, platform.thickness, {
+          isStatic: true,
+          label: 'platform',
+          angle: angle * Math.PI / 180,
+          restitution: platform.restitution,
+        }),
+        width: platformWidth,
+        height: platform.thickness,
+        radius: null,
+      });
+    });
+
+    Matter.World.add(this.world, this.levelBodies.map(({ body }) => body));
+  }
+
+  /**
+   * Whether a path crosses any of the level's no-draw zones
+   */
+  isInNoDrawZone(points) {
+    return this.getNoDrawZones().some(zone => pathIntersectsRect(points, {
+      minX: zone.x - zone.width / 2,
+      minY: zone.y - zone.height / 2,
+      maxX: zone.x + zone.width / 2,
+      maxY: zone.y + zone.height / 2,
+    }));
+  }
+
+  /**
+   * Create a Gelato (springboard) from a drawn path
+   * The stroke is simplified and clamped to max length, then built as a compound
+   * body of straight segments that follows the curve.
+   * @param {Array<{x: number, y: number}>} points - Drawn path in order
+   * @param {string} material - Key of config.gelato.materials (defaults to config.gelato.defaultMaterial)
+   * @returns {Object|null} The Gelato's render data, or null if the path is too short
+   */
+  createGelato(points, material = config.gelato.defaultMaterial) {
+    // Simplify the stroke into a few straight segments and enforce max length
+    const path = shapeGelatoPath(points);
+    if (path.length < 2 || pathLength(path) === 0) {
+      return null;
     }
 
-    // Calculate center point and angle
-    const centerX = (startX + endX) / 2;
-    const centerY = (startY + endY) / 2;
-    const angle = Math.atan2(endY - startY, endX - startX);
-    const gelatoLength = Math.sqrt((endX - startX) ** 2 + (endY - startY) ** 2);
+    return this.placeGelato(path, material);
+  }
 
-    // Create static rectangular body for the Gelato
-    this.gelato = Matter.Bodies.rectangle(
-      centerX,
-      centerY,
-      gelatoLength,
-      config.gelato.thickness,
-      {
-        isStatic: true,
-        angle: angle,
-        label: 'gelato',
-        restitution: 0.1, // Low restitution - we handle bounce in collision handler
-      }
-    );
+  /**
+   * Place a Gelato along an already shaped path (see createGelato)
+   * Recorded for replays as the shaped path - a few points per stroke rather than every raw touch
+   * @param {Array<{x: number, y: number}>} path - Output of shapeGelatoPath
+   * @param {string} material - Key of config.gelato.materials
+   * @returns {Object|null} The Gelato's render data, or null if a no-draw zone refused it
+   */
+  placeGelato(path, material = config.gelato.defaultMaterial) {
+    this.recordInput('gelatoPath', [path.map(p => ({ x: p.x, y: p.y })), material]);
+    const length = pathLength(path);
+
+    // Level regions where Gelatos aren't allowed
+    if (this.isInNoDrawZone(path)) {
+      this.emit('gelatoRejected', { reason: 'noDrawZone', points: path });
+      return null;
+    }
 
-    Matter.World.add(this.world, this.gelato);
+    // Start the game on first gelato creation
+    if (!this.gameStarted) {
+      this.gameStarted = true;
+      // Ball is already dynamic, just enable physics by allowing gravity
+    }
 
-    // Play gelato creation sound
-    playSound('gelato-create');
+    // Evict oldest Gelatos (FIFO) to make room under the configured max
+    while (this.gelatos.length >= Math.max(1, config.gelato.maxActiveGelatos)) {
+      this.removeGelato(this.gelatos[0], 'evicted');
+    }
 
-    // Store line data for rendering
-    this.gelatoLineData = { startX, startY, endX, endY };
+    const body = createGelatoBody(path);
+    Matter.World.add(this.world, body);
+
+    const gelato = {
+      id: this.nextGelatoId++,
+      body,
+      material,
+      points: path, // Simplified, clamped path for rendering
+      length,
+      createdAt: this.clock.now(), // For pop-in animation
+      bounceImpact: null, // { x, y, strength, timestamp } once bounced
+    };
+    this.gelatos.push(gelato);
 
-    // Track creation time for pop-in animation
-    this.gelatoCreationTime = Date.now();
+    const renderData = this.getGelatoRenderData(gelato);
+    this.emit('gelatoCreated', { gelato: renderData });
 
-    // Return line data for rendering
-    return this.gelatoLineData;
+    // Return render data
+    return renderData;
   }
 
   /**
-   * Get current Gelato for rendering (if exists)
+   * Predict the mascot's arc if a Gelato were placed along `points` (world space)
+   * Pure - simulates ahead in a throwaway world, the live game is untouched
+   * @returns {Array<{x: number, y: number}>} Sampled arc, empty if the stroke can't become a Gelato
    */
-  getGelato() {
-    if (!this.gelato) return null;
+  predictTrajectory(points, material = config.gelato.defaultMaterial) {
+    const path = shapeGelatoPath(points);
+    if (path.length < 2 || pathLength(path) === 0 || this.isInNoDrawZone(path)) {
+      return [];
+    }
 
-    return {
-      x: this.gelato.position.x,
-      y: this.gelato.position.y,
-      angle: this.gelato.angle,
-      width: this.gelato.bounds.max.x - this.gelato.bounds.min.x,
-      height: this.gelato.bounds.max.y - this.gelato.bounds.min.y,
-    };
+    return predictTrajectory({
+      mascot: {
+        x: this.mascot.position.x,
+        y: this.mascot.position.y,
+        velocityX: this.mascot.velocity.x,
+        velocityY: this.mascot.velocity.y,
+      },
+      path,
+      material: getMaterial(material),
+      obstacles: this.getObstacles(),
+      floorY: this.cameraY + this.height + config.physics.mascot.radius * 2,
+    });
   }
 
   /**
-   * Destroy current Gelato
+   * Remove a single Gelato from the world
+   * @param {string} reason - 'faded' or 'evicted' (passed on in the 'gelatoRemoved' event)
    */
-  destroyGelato() {
-    if (this.gelato) {
-      Matter.World.remove(this.world, this.gelato);
-      this.gelato = null;
-      this.gelatoLineData = null;
-      this.bounceImpact = null;
-    }
+  removeGelato(gelato, reason) {
+    Matter.World.remove(this.world, gelato.body);
+    this.gelatos = this.gelatos.filter(entry => entry !== gelato);
+    this.emit('gelatoRemoved', { gelato: this.getGelatoRenderData(gelato), reason });
   }
 
   /**
-   * Get bounce impact data for visual deformation
+   * Destroy all Gelatos
    */
-  getBounceImpact() {
-    return this.bounceImpact;
+  destroyGelatos() {
+    this.gelatos.forEach(gelato => Matter.World.remove(this.world, gelato.body));
+    this.gelatos = [];
   }
 
   /**
-   * Get creation time for pop-in animation
+   * Get all Gelatos for rendering (oldest first)
+   * Each line carries its own creation time and bounce impact for deformation/fade
    */
-  getGelatoCreationTime() {
-    return this.gelatoCreationTime;
+  getGelatos() {
+    return this.gelatos.map(gelato => this.getGelatoRenderData(gelato));
+  }
+
+  /**
+   * Render data for one Gelato
+   */
+  getGelatoRenderData(gelato) {
+    return {
+      id: gelato.id,
+      material: gelato.material,
+      points: gelato.points,
+      length: gelato.length,
+      createdAt: gelato.createdAt,
+      bounceImpact: gelato.bounceImpact,
+    };
   }
 
   /**
@@ -462,19 +1102,62 @@ export class GameCore {
     const mascotBody = this.mascot;
     this.currentWord = {
       text: word,
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       initialVelocityY: mascotBody.velocity.y, // Store Y velocity at bounce
     };
 
-    // Play word audio (don't await - fire and forget)
-    playWordAudio(word).catch(error => {
-      console.warn(`Failed to play word audio for "${word}":`, error);
+    this.emit('wordRevealed', {
+      word,
+      index: this.wordIndex,
+      total: this.message.length,
     });
 
+    if (this.wordIndex === this.message.length - 1) {
+      if (config.completion.enabled) {
+        this.completion = {
+          message: [...this.message],
+          timestamp: this.clock.now(),
+        };
+      }
+      this.emit('messageComplete', { message: [...this.message] });
+    }
+
     // Advance to next word (loop)
     this.wordIndex = (this.wordIndex + 1) % this.message.length;
   }
 
+  /**
+   * Get completion state ({ message, timestamp }) while the recap is showing, else null
+   */
+  getCompletion() {
+    return this.completion;
+  }
+
+  /**
+   * Completion choice: dismiss the recap and carry on looping the message
+   */
+  keepBouncing() {
+    if (!this.completion) return;
+    this.recordInput('keepBouncing', []);
+    this.completion = null;
+  }
+
+  /**
+   * Completion choice: start the message over with a fresh entrance
+   */
+  replayMessage() {
+    if (!this.completion) return;
+    this.recordInput('replayMessage', []);
+    this.completion = null;
+
+    // A fresh run - streak and score start over, like after a fall under 'restart'
+    this.breakCombo();
+    this.combo.score = 0;
+    this.combo.lastPoints = null;
+
+    this.resetRun();
+  }
+
   /**
    * Get current word for display
    */
@@ -482,6 +1165,17 @@ export class GameCore {
     return this.currentWord;
   }
 
+  /**
+   * Get message progress for the sentence trail
+   * Returns { words, revealed } - the whole message and how many words are revealed this pass
+   */
+  getMessageProgress() {
+    return {
+      words: this.message,
+      revealed: this.wordIndex,
+    };
+  }
+
   /**
    * Get current Y velocity of mascot
    */
@@ -489,6 +1183,64 @@ export class GameCore {
     return this.mascot.velocity.y;
   }
 
+  /**
+   * Get mascot velocity (world units per step) for the debug overlay
+   */
+  getMascotVelocity() {
+    return { x: this.mascot.velocity.x, y: this.mascot.velocity.y };
+  }
+
+  /**
+   * Outlines of every collision body in the world for the debug overlay - walls and level bodies included
+   * Returns [{ label, vertices: [{ x, y }] }], one entry per convex part
+   */
+  getDebugBodies() {
+    const outlines = [];
+    Matter.Composite.allBodies(this.world).forEach(body => {
+      // Compound bodies (curved Gelatos) list themselves first - only the parts collide
+      const parts = body.parts.length > 1 ? body.parts.slice(1) : body.parts;
+      parts.forEach(part => {
+        outlines.push({ label: body.label, vertices: part.vertices.map(({ x, y }) => ({ x, y })) });
+      });
+    });
+    return outlines;
+  }
+
+  /**
+   * State flags for the debug overlay readout
+   */
+  getDebugFlags() {
+    return {
+      entranceComplete: this.entranceComplete,
+      gameStarted: this.gameStarted,
+      wordIndex: this.wordIndex,
+      words: this.message.length,
+      hasLost: this.hasLost,
+      paused: this.isPaused(),
+      gelatos: this.gelatos.length,
+    };
+  }
+
+  /**
+   * Get the mascot's expression: 'idle', 'rising', 'falling' or 'loss'
+   * Loss lingers through the re-entrance after a fall
+   */
+  getMascotMood() {
+    const { lossExpressionMs, moodVelocityThreshold } = config.visuals.face;
+
+    if (this.lastLossTime !== null && this.clock.now() - this.lastLossTime < lossExpressionMs) {
+      return 'loss';
+    }
+    if (!this.gameStarted || this.stickyHold) {
+      return 'idle';
+    }
+
+    const velocityY = this.mascot.velocity.y;
+    if (velocityY < -moodVelocityThreshold) return 'rising';
+    if (velocityY > moodVelocityThreshold) return 'falling';
+    return 'idle';
+  }
+
   /**
    * Get squash and stretch values for mascot based on velocity
    * Returns { scaleX, scaleY } for animation
@@ -521,54 +1273,188 @@ export class GameCore {
   }
 
   /**
-   * Get Gelato line data for rendering
-   */
-  getGelatoLineData() {
-    return this.gelatoLineData;
-  }
-
-  /**
-   * Update boundaries when screen size changes
+   * Update boundaries when screen size changes (width/height in screen pixels)
+   * The world keeps its proportions on screen: the mascot, Gelatos, camera and
+   * level are moved proportionally to the new world size, speeds are untouched.
    */
   updateBoundaries(width, height) {
-    this.width = width;
-    this.height = height;
+    this.recordInput('resize', [width, height]);
+
+    const previousWidth = this.width;
+    const previousHeight = this.height;
+    this.viewScale = viewportScale(width, height);
+    this.width = width / this.viewScale;
+    this.height = height / this.viewScale;
+
+    this.rescaleWorld(this.width / previousWidth, this.height / previousHeight);
 
     // Remove old boundaries
     this.obstacles.forEach(obstacle => {
       Matter.World.remove(this.world, obstacle);
     });
 
-    // Create new boundaries with new dimensions (side walls only)
-    const wallThickness = config.walls.thickness;
-    const halfThickness = wallThickness / 2;
+    // Create new boundaries with new dimensions
+    this.obstacles = this.createWalls(this.width, this.height);
+    Matter.World.add(this.world, this.obstacles);
 
-    const leftWall = Matter.Bodies.rectangle(
-      halfThickness,
-      height / 2,
-      wallThickness,
-      height,
-      {
-        isStatic: true,
-        label: 'wall',
-        restitution: config.walls.restitution,
+    // Level elements are laid out relative to the screen size
+    this.buildLevelBodies();
+  }
+
+  /**
+   * Stretch everything positioned in the world by (scaleX, scaleY) about the world origin
+   * Keeps each thing at the same place on screen after the world changes size
+   */
+  rescaleWorld(scaleX, scaleY) {
+    if (scaleX === 1 && scaleY === 1) return;
+
+    const rescale = (point) => ({ x: point.x * scaleX, y: point.y * scaleY });
+
+    this.cameraY *= scaleY;
+    this.mascotTargetY *= scaleY;
+    Matter.Body.setPosition(this.mascot, rescale(this.mascot.position));
+
+    // Gelato bodies are rebuilt along the moved path (Gelatos already dissolved stay out of the world)
+    this.gelatos.forEach(gelato => {
+      const inWorld = this.world.bodies.includes(gelato.body);
+      if (inWorld) {
+        Matter.World.remove(this.world, gelato.body);
       }
-    );
 
-    const rightWall = Matter.Bodies.rectangle(
-      width - halfThickness,
-      height / 2,
-      wallThickness,
-      height,
-      {
-        isStatic: true,
-        label: 'wall',
-        restitution: config.walls.restitution,
+      gelato.points = gelato.points.map(rescale);
+      gelato.length = pathLength(gelato.points);
+      gelato.body = createGelatoBody(gelato.points);
+      if (gelato.bounceImpact) {
+        gelato.bounceImpact = { ...gelato.bounceImpact, ...rescale(gelato.bounceImpact) };
       }
-    );
 
-    Matter.World.add(this.world, [leftWall, rightWall]);
-    this.obstacles = [leftWall, rightWall];
+      if (inWorld) {
+        Matter.World.add(this.world, gelato.body);
+      }
+    });
+
+    if (this.stickyHold) {
+      this.stickyHold = { ...this.stickyHold, ...rescale(this.stickyHold) };
+    }
+
+    // Bounce heights used by the combo height bonus and the staircase gesture
+    if (this.combo.lastBounceY !== null) {
+      this.combo.lastBounceY *= scaleY;
+    }
+    this.recentBounces = this.recentBounces.map(bounce => ({ ...bounce, y: bounce.y * scaleY }));
+  }
+
+  /**
+   * Re-apply config values that were copied into bodies at construction
+   * Call after editing config at runtime (tuning panel). Not recorded - replays
+   * play back with whatever config is loaded at the time.
+   */
+  applyConfig() {
+    this.engine.gravity.y = config.physics.gravityY;
+
+    // Mascot body properties
+    const mascotConfig = config.physics.mascot;
+    if (mascotConfig.radius !== this.mascotRadius) {
+      const scale = mascotConfig.radius / this.mascotRadius;
+      Matter.Body.scale(this.mascot, scale, scale);
+      this.mascotRadius = mascotConfig.radius;
+    }
+    this.mascot.restitution = mascotConfig.restitution;
+    this.mascot.friction = mascotConfig.friction;
+    this.mascot.frictionAir = mascotConfig.frictionAir;
+    Matter.Body.setMass(this.mascot, mascotConfig.mass);
+
+    // Walls (restitution, thickness, bounce/wrap) and level bodies
+    this.obstacles.forEach(obstacle => Matter.World.remove(this.world, obstacle));
+    this.obstacles = this.createWalls(this.width, this.height);
+    Matter.World.add(this.world, this.obstacles);
+    this.buildLevelBodies();
+  }
+
+  /**
+   * Build side walls for the given screen size, spanning the current view (no bottom boundary - ball can fall off)
+   * Wrap mode has no walls - the mascot teleports across instead
+   */
+  createWalls(width, height) {
+    if (config.walls.behavior === 'wrap') {
+      return [];
+    }
+
+    const wallThickness = config.walls.thickness;
+    const halfThickness = wallThickness / 2;
+    const wallOptions = {
+      isStatic: true,
+      label: 'wall',
+      restitution: config.walls.restitution,
+    };
+
+    const centerY = this.cameraY + height / 2;
+    const leftWall = Matter.Bodies.rectangle(halfThickness, centerY, wallThickness, height, wallOptions);
+    const rightWall = Matter.Bodies.rectangle(width - halfThickness, centerY, wallThickness, height, wallOptions);
+
+    return [leftWall, rightWall];
+  }
+
+  /**
+   * Wrap mode: teleport the mascot to the opposite side once its center crosses an edge
+   * setPosition moves the previous position too, so velocity carries through
+   */
+  wrapMascot() {
+    const { x, y } = this.mascot.position;
+
+    if (x < 0) {
+      Matter.Body.setPosition(this.mascot, { x: x + this.width, y });
+    } else if (x > this.width) {
+      Matter.Body.setPosition(this.mascot, { x: x - this.width, y });
+    }
+  }
+
+  /**
+   * Get the ghost copy of the mascot at the opposite edge while it crosses (wrap mode)
+   * Returns { x, y } or null when not overlapping an edge
+   */
+  getWrapGhost() {
+    if (config.walls.behavior !== 'wrap') return null;
+
+    const { x, y } = this.mascot.position;
+    const radius = config.physics.mascot.radius;
+
+    if (x < radius) {
+      return { x: x + this.width, y };
+    }
+    if (x > this.width - radius) {
+      return { x: x - this.width, y };
+    }
+    return null;
+  }
+
+  /**
+   * Log a player/environment input so the run can be replayed
+   */
+  recordInput(type, args) {
+    this.inputLog.push({
+      step: this.stepCount,
+      time: this.clock.now(),
+      type,
+      args,
+    });
+  }
+
+  /**
+   * Get a replayable recording of this run (JSON-serializable)
+   * Attach to bug reports or keep as regression runs - play back with ReplayPlayer
+   */
+  getRecording() {
+    return {
+      version: 2, // 2: width/height are the viewport in pixels, the world is scaled from it (config.world)
+      width: this.initialWidth,
+      height: this.initialHeight,
+      message: [...this.message],
+      level: this.level,
+      fixedStepMs: config.physics.timestep.fixedStepMs,
+      steps: this.stepCount,
+      inputs: this.inputLog.map(input => ({ ...input, args: [...input.args] })),
+    };
   }
 
   /**
@@ -612,6 +1498,10 @@ export class GameCore {
       if (currentMessage && currentMessage.words) {
         this.message = currentMessage.words;
         console.log('✅ Loaded fresh message from GitHub:', this.message);
+
+        if (currentMessage.level) {
+          this.loadLevel(currentMessage.level);
+        }
       } else {
         console.warn('No message found for current date:', currentDate);
       }
@@ -626,6 +1516,7 @@ export class GameCore {
    * Clean up resources
    */
   destroy() {
+    this.removeAllListeners();
     Matter.World.clear(this.world);
     Matter.Engine.clear(this.engine);
   }
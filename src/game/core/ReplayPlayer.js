@@ -0,0 +1,149 @@
+import { GameCore } from './GameCore';
+import { viewportScale } from './viewport';
+
+/**
+ * Bring an older recording up to the current format
+ * Version 1 ran the world in screen pixels: its width/height are the viewport, and stroke
+ * points convert to world units at the viewport current when drawn (resizes change it).
+ * Strokes land where they were drawn; physics is now relative to the screen, so a run
+ * recorded at a short side other than config.world.shortSide may drift from the original.
+ */
+function migrateRecording(recording) {
+  if (recording.version !== 1) return recording;
+
+  let scale = viewportScale(recording.width, recording.height);
+  const inputs = recording.inputs.map(input => {
+    if (input.type === 'resize') {
+      scale = viewportScale(...input.args);
+      return input;
+    }
+    if (input.type === 'gelato') {
+      const [points, ...rest] = input.args;
+      return { ...input, args: [points.map(({ x, y }) => ({ x: x / scale, y: y / scale })), ...rest] };
+    }
+    return input;
+  });
+
+  return { ...recording, version: 2, inputs };
+}
+
+/**
+ * ReplayPlayer - Feeds a recorded run back into a fresh GameCore
+ * Recordings come from GameCore.getRecording(). Inputs are applied on the exact
+ * fixed step they originally happened on, so the run reproduces step for step.
+ *
+ * Usage:
+ *   const player = new ReplayPlayer(recording);
+ *   player.runToEnd();                  // headless (e.g. regression check)
+ *   player.step(deltaMs);               // or real-time playback from a render loop
+ *   player.core.getMascotPosition();    // inspect/render the replayed core
+ */
+export class ReplayPlayer {
+  constructor(recording, options = {}) {
+    if (!recording || (recording.version !== 1 && recording.version !== 2)) {
+      throw new Error('Unsupported replay recording');
+    }
+
+    this.recording = migrateRecording(recording);
+
+    // Fresh core with the recorded screen, message and level
+    // Silent by default - attach effects to player.core to hear the replay
+    this.core = new GameCore(
+      this.recording.width,
+      this.recording.height,
+      this.recording.message.join(' '),
+      { ...options, level: this.recording.level || null }
+    );
+
+    // Index of the next input to apply
+    this.nextInput = 0;
+
+    // Real-time playback leftover (whole fixed steps only)
+    this.accumulator = 0;
+  }
+
+  /**
+   * Whether every recorded step has been played
+   */
+  isFinished() {
+    return this.core.stepCount >= this.recording.steps;
+  }
+
+  /**
+   * Apply inputs due at the current step, then run one fixed step
+   */
+  advanceOneStep() {
+    const { inputs, fixedStepMs } = this.recording;
+
+    while (this.nextInput < inputs.length && inputs[this.nextInput].step <= this.core.stepCount) {
+      this.applyInput(inputs[this.nextInput]);
+      this.nextInput++;
+    }
+
+    this.core.step(fixedStepMs);
+  }
+
+  /**
+   * Replay an input against the core
+   */
+  applyInput(input) {
+    switch (input.type) {
+      case 'gelato': // Raw stroke (recordings made before strokes were stored shaped)
+        this.core.createGelato(...input.args);
+        break;
+      case 'gelatoPath':
+        this.core.placeGelato(...input.args);
+        break;
+      case 'resize':
+        this.core.updateBoundaries(...input.args);
+        break;
+      case 'keepBouncing':
+        this.core.keepBouncing();
+        break;
+      case 'replayMessage':
+        this.core.replayMessage();
+        break;
+      default:
+        console.warn(`Unknown replay input type: ${input.type}`);
+    }
+  }
+
+  /**
+   * Real-time playback - call every frame with delta time
+   */
+  step(deltaMs) {
+    const { fixedStepMs } = this.recording;
+
+    this.accumulator += deltaMs;
+    while (this.accumulator >= fixedStepMs && !this.isFinished()) {
+      this.advanceOneStep();
+      this.accumulator -= fixedStepMs;
+    }
+  }
+
+  /**
+   * Play the whole recording immediately (headless)
+   * @returns {GameCore} The core in its final state
+   */
+  runToEnd() {
+    while (!this.isFinished()) {
+      this.advanceOneStep();
+    }
+
+    // Inputs logged after the final step (e.g. a gelato drawn right before stopping)
+    const { inputs } = this.recording;
+    while (this.nextInput < inputs.length) {
+      this.applyInput(inputs[this.nextInput]);
+      this.nextInput++;
+    }
+
+    return this.core;
+  }
+
+  /**
+   * Clean up the replayed core
+   */
+  destroy() {
+    this.core.destroy();
+  }
+}
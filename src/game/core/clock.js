@@ -0,0 +1,23 @@
+/**
+ * Simulation clock for GameCore
+ * GameCore never reads wall-clock time directly. It advances its clock by a fixed
+ * step inside step(), so every timer (entrance, debounce, fades) is measured in
+ * simulated time and the same inputs always replay the same way.
+ */
+
+/**
+ * Create a manually-advanced clock
+ * Inject one into GameCore to drive the simulation headlessly or share a time base
+ * @param {number} startMs - Time the clock starts at, in milliseconds
+ * @returns {{ now: () => number, advance: (ms: number) => void }}
+ */
+export function createClock(startMs = 0) {
+  let time = startMs;
+
+  return {
+    now: () => time,
+    advance: (ms) => {
+      time += ms;
+    },
+  };
+}
@@ -0,0 +1,51 @@
+import Matter from 'matter-js';
+import { config } from '../../config';
+import { simplifyPath, clampPathLength, removeShortSegments } from './pathGeometry';
+
+/**
+ * Turn a drawn stroke into the Gelato's path
+ * Simplified into a few straight segments and clamped to the max length
+ */
+export function shapeGelatoPath(points) {
+  const curveConfig = config.gelato.curve;
+  const simplified = simplifyPath(points, curveConfig.simplifyTolerance);
+  const clamped = clampPathLength(simplified, config.gelato.maxLength);
+  return removeShortSegments(clamped, curveConfig.minSegmentLength);
+}
+
+/**
+ * Build the static Matter body for a Gelato path
+ * One rectangle per segment - each keeps its own angle so the bounce normal is per segment
+ */
+export function createGelatoBody(path) {
+  const parts = [];
+  for (let i = 1; i < path.length; i++) {
+    const start = path[i - 1];
+    const end = path[i];
+    const segmentLength = Math.sqrt((end.x - start.x) ** 2 + (end.y - start.y) ** 2);
+
+    parts.push(Matter.Bodies.rectangle(
+      (start.x + end.x) / 2,
+      (start.y + end.y) / 2,
+      // Overlap neighbours by the thickness so joints have no gaps
+      segmentLength + (path.length > 2 ? config.gelato.thickness : 0),
+      config.gelato.thickness,
+      {
+        isStatic: true,
+        angle: Math.atan2(end.y - start.y, end.x - start.x),
+        label: 'gelato',
+        restitution: 0.1, // Low restitution - we handle bounce in collision handler
+      }
+    ));
+  }
+
+  // Straight stroke stays a plain rectangle, curves become a compound body
+  return parts.length === 1
+    ? parts[0]
+    : Matter.Body.create({
+        parts,
+        isStatic: true,
+        label: 'gelato',
+        restitution: 0.1,
+      });
+}
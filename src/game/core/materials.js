@@ -0,0 +1,91 @@
+import { config } from '../../config';
+
+/**
+ * Look up a Gelato material from config.gelato.materials
+ * Unknown names fall back to the default material
+ * @param {string} name - Material key (e.g. 'super', 'sticky')
+ * @returns {Object} Material settings ({ type, color, ... })
+ */
+export function getMaterial(name) {
+  const { materials, defaultMaterial } = config.gelato;
+  return materials[name] || materials[defaultMaterial];
+}
+
+/**
+ * Names of all configured materials, in config order
+ */
+export function getMaterialNames() {
+  return Object.keys(config.gelato.materials);
+}
+
+/**
+ * Mascot velocity after touching a Gelato of the given material
+ * Sticky returns the launch velocity (GameCore holds the mascot first)
+ * @param {Object} material - From getMaterial()
+ * @param {{x: number, y: number}} velocity - Velocity at impact
+ * @param {{x: number, y: number}} normal - Surface normal of the hit segment, facing the mascot
+ * @param {number} angle - Angle of the hit segment (radians)
+ * @returns {{x: number, y: number}}
+ */
+export function bounceVelocity(material, velocity, normal, angle) {
+  // How hard the ball is hitting the Gelato (negative = moving into it)
+  const impactSpeed = velocity.x * normal.x + velocity.y * normal.y;
+
+  switch (material.type) {
+    case 'sticky':
+      // Launch straight off the surface
+      return {
+        x: normal.x * material.launchSpeed,
+        y: normal.y * material.launchSpeed,
+      };
+
+    case 'ice': {
+      // Deflect along the surface: keep (and boost) the sliding speed, damp the bounce
+      const tangentX = Math.cos(angle);
+      const tangentY = Math.sin(angle);
+      const tangentSpeed = velocity.x * tangentX + velocity.y * tangentY;
+      const direction = Math.sign(tangentSpeed) || Math.sign(tangentY) || 1; // Head-on hits slide downhill
+      const slideSpeed = direction * Math.max(Math.abs(tangentSpeed) * (1 + material.tangentialBoost), material.minSlideSpeed);
+      const bounceSpeed = -Math.min(impactSpeed, 0) * material.normalRestitution;
+
+      return {
+        x: tangentX * slideSpeed + normal.x * bounceSpeed,
+        y: tangentY * slideSpeed + normal.y * bounceSpeed,
+      };
+    }
+
+    case 'cloud':
+      // Soften the fall - no boost
+      return {
+        x: velocity.x * (1 - material.catchDamping),
+        y: velocity.y * (1 - material.catchDamping),
+      };
+
+    default: {
+      // Spring - trampoline effect: reflect velocity across normal and amplify
+      // Remove the component moving INTO the gelato and add it back multiplied
+      const springBoost = material.springBoost !== undefined ? material.springBoost : config.gelato.springBoost;
+      const boostVelocity = -impactSpeed * (1 + springBoost);
+
+      return {
+        x: velocity.x + normal.x * boostVelocity,
+        y: velocity.y + normal.y * boostVelocity,
+      };
+    }
+  }
+}
+
+/**
+ * Surface normal of a hit Gelato segment, flipped to face the mascot
+ * @param {Object} part - Matter body of the segment that was hit
+ * @param {{x: number, y: number}} mascotPosition
+ */
+export function segmentNormal(part, mascotPosition) {
+  let x = -Math.sin(part.angle);
+  let y = Math.cos(part.angle);
+  if ((mascotPosition.x - part.position.x) * x + (mascotPosition.y - part.position.y) * y < 0) {
+    x = -x;
+    y = -y;
+  }
+  return { x, y };
+}
@@ -0,0 +1,251 @@
+/**
+ * Path geometry helpers for drawn strokes and curved Gelatos
+ * Paths are arrays of { x, y } points
+ */
+
+/**
+ * Total length of a path
+ */
+export function pathLength(points) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    const dx = points[i].x - points[i - 1].x;
+    const dy = points[i].y - points[i - 1].y;
+    length += Math.sqrt(dx * dx + dy * dy);
+  }
+  return length;
+}
+
+/**
+ * Distance from point p to segment a-b
+ */
+export function distanceToSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  if (lengthSq === 0) {
+    return Math.sqrt((p.x - a.x) ** 2 + (p.y - a.y) ** 2);
+  }
+  const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+  const closestX = a.x + dx * t;
+  const closestY = a.y + dy * t;
+  return Math.sqrt((p.x - closestX) ** 2 + (p.y - closestY) ** 2);
+}
+
+/**
+ * Simplify a stroke with Ramer-Douglas-Peucker
+ * Drops points that deviate less than `tolerance` (same units as the points) from the simplified line
+ */
+export function simplifyPath(points, tolerance) {
+  if (points.length <= 2) return points.map(p => ({ x: p.x, y: p.y }));
+
+  const first = points[0];
+  const last = points[points.length - 1];
+
+  // Find the point furthest from the chord
+  let maxDistance = 0;
+  let index = 0;
+  for (let i = 1; i < points.length - 1; i++) {
+    const distance = distanceToSegment(points[i], first, last);
+    if (distance > maxDistance) {
+      maxDistance = distance;
+      index = i;
+    }
+  }
+
+  // Whole stroke is within tolerance of a straight line
+  if (maxDistance <= tolerance) {
+    return [{ x: first.x, y: first.y }, { x: last.x, y: last.y }];
+  }
+
+  // Split at the furthest point and simplify both halves
+  const left = simplifyPath(points.slice(0, index + 1), tolerance);
+  const right = simplifyPath(points.slice(index), tolerance);
+  return [...left.slice(0, -1), ...right];
+}
+
+/**
+ * Cut a path so its total length doesn't exceed maxLength (keeps the start)
+ */
+export function clampPathLength(points, maxLength) {
+  const clamped = [{ x: points[0].x, y: points[0].y }];
+  let remaining = maxLength;
+
+  for (let i = 1; i < points.length; i++) {
+    const prev = points[i - 1];
+    const dx = points[i].x - prev.x;
+    const dy = points[i].y - prev.y;
+    const segmentLength = Math.sqrt(dx * dx + dy * dy);
+
+    if (segmentLength >= remaining) {
+      // Last segment ends partway along
+      const scale = segmentLength > 0 ? remaining / segmentLength : 0;
+      clamped.push({ x: prev.x + dx * scale, y: prev.y + dy * scale });
+      break;
+    }
+
+    clamped.push({ x: points[i].x, y: points[i].y });
+    remaining -= segmentLength;
+  }
+
+  return clamped;
+}
+
+/**
+ * Drop points from the start until the path is no longer than maxLength (keeps the end)
+ * Used while drawing, so the stroke slides along behind the finger
+ */
+export function trimPathStart(points, maxLength) {
+  let length = pathLength(points);
+  let start = 0;
+
+  while (length > maxLength && points.length - start > 2) {
+    const dx = points[start + 1].x - points[start].x;
+    const dy = points[start + 1].y - points[start].y;
+    length -= Math.sqrt(dx * dx + dy * dy);
+    start++;
+  }
+
+  return points.slice(start);
+}
+
+/**
+ * Remove segments shorter than minLength (keeps the endpoints)
+ */
+export function removeShortSegments(points, minLength) {
+  if (points.length <= 2) return points;
+
+  const result = [points[0]];
+  for (let i = 1; i < points.length - 1; i++) {
+    const prev = result[result.length - 1];
+    const distance = Math.sqrt((points[i].x - prev.x) ** 2 + (points[i].y - prev.y) ** 2);
+    if (distance >= minLength) {
+      result.push(points[i]);
+    }
+  }
+
+  // Always keep the final point, replacing a too-close predecessor
+  const last = points[points.length - 1];
+  const prev = result[result.length - 1];
+  const distance = Math.sqrt((last.x - prev.x) ** 2 + (last.y - prev.y) ** 2);
+  if (distance < minLength && result.length > 1) {
+    result.pop();
+  }
+  result.push(last);
+
+  return result;
+}
+
+/**
+ * Whether segment a-b touches an axis-aligned rect { minX, minY, maxX, maxY }
+ * (Liang-Barsky clipping - the segment survives if any part lies inside)
+ */
+function segmentIntersectsRect(a, b, rect) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  let tMin = 0;
+  let tMax = 1;
+
+  const edges = [
+    [-dx, a.x - rect.minX],
+    [dx, rect.maxX - a.x],
+    [-dy, a.y - rect.minY],
+    [dy, rect.maxY - a.y],
+  ];
+
+  for (const [p, q] of edges) {
+    if (p === 0) {
+      // Parallel to this edge - outside if beyond it
+      if (q < 0) return false;
+    } else {
+      const t = q / p;
+      if (p < 0) {
+        tMin = Math.max(tMin, t);
+      } else {
+        tMax = Math.min(tMax, t);
+      }
+      if (tMin > tMax) return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Whether any part of a path crosses an axis-aligned rect { minX, minY, maxX, maxY }
+ */
+export function pathIntersectsRect(points, rect) {
+  if (points.length === 1) {
+    return segmentIntersectsRect(points[0], points[0], rect);
+  }
+  for (let i = 1; i < points.length; i++) {
+    if (segmentIntersectsRect(points[i - 1], points[i], rect)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * When a circle of `radius` moving from `from` to `to` (radius 0 = a point) first touches point c
+ * @returns {number|null} Fraction of the move (0-1)
+ */
+function sweepCircleToPoint(from, to, radius, c) {
+  const moveX = to.x - from.x;
+  const moveY = to.y - from.y;
+  const offsetX = from.x - c.x;
+  const offsetY = from.y - c.y;
+
+  const qa = moveX * moveX + moveY * moveY;
+  const qb = 2 * (moveX * offsetX + moveY * offsetY);
+  const qc = offsetX * offsetX + offsetY * offsetY - radius * radius;
+  const discriminant = qb * qb - 4 * qa * qc;
+  if (qa === 0 || discriminant < 0) return null;
+
+  const t = (-qb - Math.sqrt(discriminant)) / (2 * qa);
+  return t >= 0 && t <= 1 ? t : null;
+}
+
+/**
+ * When a circle moving in a straight line from `from` to `to` first touches segment a-b
+ * (i.e. when its center enters the capsule of `radius` around the segment)
+ * @returns {number|null} Fraction of the move (0-1), null if it never touches or already touches at the start
+ */
+export function sweepCircleToSegment(from, to, radius, a, b) {
+  if (distanceToSegment(from, a, b) <= radius) return null;
+
+  let earliest = null;
+  const consider = t => {
+    if (t !== null && t >= 0 && t <= 1 && (earliest === null || t < earliest)) {
+      earliest = t;
+    }
+  };
+
+  // Flat sides - the segment's line pushed out by the radius toward the start
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  if (lengthSq > 0) {
+    const length = Math.sqrt(lengthSq);
+    const normalX = -dy / length;
+    const normalY = dx / length;
+    const startDistance = (from.x - a.x) * normalX + (from.y - a.y) * normalY;
+    const approach = (to.x - from.x) * normalX + (to.y - from.y) * normalY;
+
+    if (approach !== 0 && Math.abs(startDistance) > radius) {
+      const t = (Math.sign(startDistance) * radius - startDistance) / approach;
+      const x = from.x + (to.x - from.x) * t;
+      const y = from.y + (to.y - from.y) * t;
+      const along = ((x - a.x) * dx + (y - a.y) * dy) / lengthSq;
+      if (along >= 0 && along <= 1) {
+        consider(t);
+      }
+    }
+  }
+
+  // Rounded ends
+  consider(sweepCircleToPoint(from, to, radius, a));
+  consider(sweepCircleToPoint(from, to, radius, b));
+
+  return earliest;
+}
@@ -0,0 +1,112 @@
+import Matter from 'matter-js';
+import { config } from '../../config';
+import { distanceToSegment, sweepCircleToSegment } from './pathGeometry';
+
+/**
+ * Segment parts of a Gelato body, in path order (a straight Gelato is a single rectangle)
+ */
+function gelatoParts(body) {
+  return body.parts.length === 1 ? [body] : body.parts.slice(1);
+}
+
+/**
+ * Which side of segment a-b's line point p is on (-1, 0 or 1)
+ */
+function sideOf(p, a, b) {
+  return Math.sign((b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x));
+}
+
+/**
+ * Adaptive substeps - positions along the move at most half a radius apart (up to
+ * config.physics.ccd.maxSubsteps), checked against the segments' real rectangles
+ */
+function substepGelatos(from, to, radius, gelatos, travel) {
+  const substeps = Math.min(config.physics.ccd.maxSubsteps, Math.ceil(travel / (radius / 2)));
+  if (substeps < 2) return null;
+
+  const probe = Matter.Bodies.circle(from.x, from.y, radius);
+  for (let i = 1; i < substeps; i++) {
+    const t = i / substeps;
+    Matter.Body.setPosition(probe, {
+      x: from.x + (to.x - from.x) * t,
+      y: from.y + (to.y - from.y) * t,
+    });
+
+    for (const gelato of gelatos) {
+      const part = gelatoParts(gelato.body).find(segment => Matter.Collision.collides(probe, segment));
+      if (part) {
+        return { gelato, part, t };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Continuous collision for the mascot against Gelatos (shared by GameCore and trajectory prediction)
+ *
+ * Matter only checks for overlap where each step ends, so a fast mascot can jump clean over a
+ * thin Gelato. The step's move is checked against every segment with a swept circle-vs-segment
+ * test (the segment's center line plus half the Gelato thickness), falling back to adaptive
+ * substeps against the real rectangles for anything that approximation misses (corners, joints).
+ * Gelatos the mascot ends the step touching are left to Matter; the rest are still swept.
+ *
+ * @param {{x, y}} from - Mascot position before the step
+ * @param {{x, y}} to - Mascot position after the step
+ * @param {number} radius - Mascot radius
+ * @param {Array<{body, points}>} gelatos - Solid Gelatos (body and the path it was built from)
+ * @returns {{gelato, part, t}|null} Earliest missed hit - the segment part and fraction of the move
+ */
+export function findMissedGelatoHit(from, to, radius, gelatos) {
+  if (!config.physics.ccd.enabled || gelatos.length === 0) return null;
+
+  const travel = Math.sqrt((to.x - from.x) ** 2 + (to.y - from.y) ** 2);
+  if (travel === 0) return null;
+
+  const reach = radius + config.gelato.thickness / 2;
+
+  // Gelatos the step ends touching are Matter's to report - sweep only the others
+  const missed = gelatos.filter(gelato =>
+    gelato.points.every((start, i) => i === 0 || distanceToSegment(to, gelato.points[i - 1], start) > reach)
+  );
+  if (missed.length === 0) return null;
+
+  let earliest = null;
+  for (const gelato of missed) {
+    const parts = gelatoParts(gelato.body);
+    for (let i = 0; i < parts.length; i++) {
+      const t = sweepCircleToSegment(from, to, reach, gelato.points[i], gelato.points[i + 1]);
+      if (t !== null && (!earliest || t < earliest.t)) {
+        earliest = { gelato, part: parts[i], t };
+      }
+    }
+  }
+
+  return earliest || substepGelatos(from, to, radius, missed, travel);
+}
+
+/**
+ * Where the mascot first touched a segment that Matter only caught once it was already past
+ * the center line (a fast mascot can get most of the way through a thin Gelato in one step,
+ * which would flip the bounce normal)
+ *
+ * @param {{x, y}} from - Mascot position before the step
+ * @param {{x, y}} to - Mascot position when the contact was reported
+ * @param {number} radius - Mascot radius
+ * @param {{body, points}} gelato - Gelato that was hit
+ * @param {Object} part - Segment part Matter reported
+ * @returns {number|null} Fraction of the move, null if the mascot didn't cross the segment
+ */
+export function findCrossedContact(from, to, radius, gelato, part) {
+  if (!config.physics.ccd.enabled) return null;
+
+  const index = gelatoParts(gelato.body).indexOf(part);
+  if (index === -1) return null;
+
+  const start = gelato.points[index];
+  const end = gelato.points[index + 1];
+  if (sideOf(from, start, end) === sideOf(to, start, end)) return null;
+
+  return sweepCircleToSegment(from, to, radius + config.gelato.thickness / 2, start, end);
+}
@@ -0,0 +1,159 @@
+import Matter from 'matter-js';
+import { config } from '../../config';
+import { createGelatoBody } from './gelatoBody';
+import { bounceVelocity, segmentNormal } from './materials';
+import { findMissedGelatoHit, findCrossedContact } from './sweep';
+
+/**
+ * Rebuild a static body from GameCore.getObstacles() render data
+ */
+function createObstacleBody(obstacle) {
+  if (obstacle.type === 'bumper') {
+    return Matter.Bodies.circle(obstacle.x, obstacle.y, obstacle.radius, {
+      isStatic: true,
+      restitution: config.levels.bumper.restitution,
+    });
+  }
+
+  // Live walls follow the camera - stretch them so the whole arc stays between them
+  const height = obstacle.type === 'wall' ? obstacle.height * 5 : obstacle.height;
+
+  return Matter.Bodies.rectangle(obstacle.x, obstacle.y, obstacle.width, height, {
+    isStatic: true,
+    angle: obstacle.angle,
+    restitution: obstacle.type === 'platform' ? config.levels.platform.restitution : config.walls.restitution,
+  });
+}
+
+/**
+ * Predict the mascot's arc if a Gelato were placed along `path`
+ * Pure: runs a throwaway Matter world with copies of the mascot and obstacles, the
+ * live simulation is never touched. Follows the first Gelato bounce only; bumpers
+ * act as plain bouncy circles and other Gelatos are ignored.
+ *
+ * @param {Object} options
+ * @param {{x, y, velocityX, velocityY}} options.mascot - Current mascot state
+ * @param {Array<{x, y}>} options.path - Shaped Gelato path (world space)
+ * @param {Object} options.material - Gelato material (from getMaterial)
+ * @param {Array<Object>} options.obstacles - GameCore.getObstacles() output
+ * @param {number} options.floorY - Stop once the mascot falls below this world Y
+ * @returns {Array<{x: number, y: number}>} Sampled positions, oldest first
+ */
+export function predictTrajectory({ mascot, path, material, obstacles, floorY }) {
+  const { maxSteps, stepsAfterBounce, sampleEvery } = config.assist.trajectory;
+  const { fixedStepMs } = config.physics.timestep;
+  const mascotConfig = config.physics.mascot;
+
+  const engine = Matter.Engine.create();
+  engine.gravity.y = config.physics.gravityY;
+
+  const body = Matter.Bodies.circle(mascot.x, mascot.y, mascotConfig.radius, {
+    restitution: mascotConfig.restitution,
+    friction: mascotConfig.friction,
+    frictionAir: mascotConfig.frictionAir,
+    mass: mascotConfig.mass,
+  });
+  Matter.Body.setVelocity(body, { x: mascot.velocityX, y: mascot.velocityY });
+
+  const gelatoBody = createGelatoBody(path);
+  Matter.World.add(engine.world, [body, gelatoBody, ...obstacles.map(createObstacleBody)]);
+
+  // Same response as GameCore.bounceOnGelato
+  let stepsLeft = maxSteps;
+  let bounced = false;
+  let hold = null; // Sticky catch { x, y, normal, angle, steps }
+  let from = null; // Mascot position at the start of the step
+  const gelato = { body: gelatoBody, points: path };
+  const rewindToContact = (part) => {
+    const t = findCrossedContact(from, body.position, mascotConfig.radius, gelato, part);
+    if (t === null) return false;
+
+    Matter.Body.setPosition(body, {
+      x: from.x + (body.position.x - from.x) * t,
+      y: from.y + (body.position.y - from.y) * t,
+    });
+    return true;
+  };
+  const bounceOn = (part) => {
+    bounced = true;
+    stepsLeft = Math.min(stepsLeft, stepsAfterBounce);
+
+    const normal = segmentNormal(part, body.position);
+    if (material.type === 'sticky') {
+      hold = {
+        x: body.position.x,
+        y: body.position.y,
+        normal,
+        angle: part.angle,
+        steps: Math.ceil(material.holdMs / fixedStepMs),
+      };
+      return;
+    }
+    Matter.Body.setVelocity(body, bounceVelocity(material, body.velocity, normal, part.angle));
+    if (material.type === 'cloud') {
+      Matter.World.remove(engine.world, gelatoBody);
+    }
+  };
+
+  Matter.Events.on(engine, 'collisionStart', (event) => {
+    for (const pair of event.pairs) {
+      const { bodyA, bodyB } = pair;
+      const part = bodyA.parent === gelatoBody ? bodyA : bodyB.parent === gelatoBody ? bodyB : null;
+      if (part && !bounced) {
+        if (rewindToContact(part)) {
+          pair.isActive = false;
+        }
+        bounceOn(part);
+      }
+    }
+  });
+
+  const points = [];
+  for (let step = 0; stepsLeft > 0; step++, stepsLeft--) {
+    from = { x: body.position.x, y: body.position.y };
+    Matter.Engine.update(engine, fixedStepMs);
+
+    // Same continuous collision as GameCore.catchMissedBounce
+    if (!bounced) {
+      const to = body.position;
+      const hit = findMissedGelatoHit(from, to, mascotConfig.radius, [gelato]);
+      if (hit) {
+        Matter.Body.setPosition(body, {
+          x: from.x + (to.x - from.x) * hit.t,
+          y: from.y + (to.y - from.y) * hit.t,
+        });
+        bounceOn(hit.part);
+      }
+    }
+
+    // Sticky: pinned until launch (doesn't count toward the arc length)
+    if (hold) {
+      Matter.Body.setPosition(body, { x: hold.x, y: hold.y });
+      Matter.Body.setVelocity(body, { x: 0, y: 0 });
+      if (--hold.steps <= 0) {
+        Matter.Body.setVelocity(body, bounceVelocity(material, body.velocity, hold.normal, hold.angle));
+        hold = null;
+      }
+      stepsLeft++;
+      continue;
+    }
+
+    // Same velocity caps as the live simulation
+    const { x, y } = body.velocity;
+    Matter.Body.setVelocity(body, {
+      x: Math.max(-config.physics.maxVelocityX, Math.min(config.physics.maxVelocityX, x)),
+      y: Math.max(-config.physics.maxVelocityY, Math.min(config.physics.maxVelocityY, y)),
+    });
+
+    if (step % sampleEvery === 0) {
+      points.push({ x: body.position.x, y: body.position.y });
+    }
+
+    if (body.position.y > floorY) break;
+  }
+
+  Matter.World.clear(engine.world);
+  Matter.Engine.clear(engine);
+
+  return points;
+}
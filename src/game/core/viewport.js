@@ -0,0 +1,10 @@
+import { config } from '../../config';
+
+/**
+ * Screen pixels per world unit for a viewport
+ * The viewport's shorter side always spans config.world.shortSide world units,
+ * so gameplay is the same size relative to the screen on any device or orientation
+ */
+export function viewportScale(width, height) {
+  return Math.min(width, height) / config.world.shortSide;
+}
@@ -0,0 +1,39 @@
+import { playSound } from '../../utils/audio';
+import { playWordAudio } from '../../services/audioPlayer';
+
+/**
+ * Attach sound effects and word narration to a GameCore's events
+ * @param {GameCore} gameCore - Core to listen to
+ * @param {object} options
+ * @param {boolean} options.sfx - Play sound effects (bounce, create, rejected, wall, loss, combo)
+ * @param {boolean} options.voice - Speak revealed words
+ * @returns {Function} Detach all listeners
+ */
+export function attachAudioEffects(gameCore, { sfx = true, voice = true } = {}) {
+  const unsubscribers = [];
+
+  if (sfx) {
+    unsubscribers.push(
+      gameCore.on('gelatoCreated', () => playSound('gelato-create')),
+      gameCore.on('gelatoRejected', () => playSound('gelato-rejected')),
+      gameCore.on('bounce', () => playSound('gelato-bounce')),
+      gameCore.on('wallHit', () => playSound('wall-bump')),
+      gameCore.on('bumperHit', () => playSound('wall-bump')),
+      gameCore.on('loss', () => playSound('loss')),
+      gameCore.on('combo', () => playSound('combo')),
+    );
+  }
+
+  if (voice) {
+    unsubscribers.push(
+      gameCore.on('wordRevealed', ({ word }) => {
+        // Play word audio (don't await - fire and forget)
+        playWordAudio(word).catch(error => {
+          console.warn(`Failed to play word audio for "${word}":`, error);
+        });
+      }),
+    );
+  }
+
+  return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}
@@ -0,0 +1,35 @@
+import { config } from '../../config';
+
+/**
+ * Keep recent bounce normals for the physics debug overlay (config.debug)
+ *
+ * Bounces are recorded whether or not the overlay is showing, so turning it on
+ * mid-game still shows the last impacts. Ages run on the game clock.
+ *
+ * @param {GameCore} gameCore - Core to listen to
+ * @returns {{ getBounceNormals: Function, detach: Function }}
+ *   getBounceNormals() - Recent bounces as [{ x, y, normal, age }] (contact point in world space, age 0-1)
+ *   detach() - Remove the listener
+ */
+export function attachDebugEffects(gameCore) {
+  let bounces = [];
+
+  const detach = gameCore.on('bounce', ({ x, y, normal }) => {
+    // Bounce events give the mascot's center - step back along the normal to the contact point
+    const radius = config.physics.mascot.radius;
+    bounces.push({ x: x - normal.x * radius, y: y - normal.y * radius, normal, timestamp: gameCore.getTime() });
+  });
+
+  const getBounceNormals = () => {
+    const now = gameCore.getTime();
+    bounces = bounces.filter(bounce => now - bounce.timestamp < config.debug.normalMs);
+    return bounces.map(({ x, y, normal, timestamp }) => ({
+      x,
+      y,
+      normal,
+      age: (now - timestamp) / config.debug.normalMs,
+    }));
+  };
+
+  return { getBounceNormals, detach };
+}
@@ -0,0 +1,17 @@
+import { triggerHaptic } from '../../utils/haptics';
+
+/**
+ * Attach haptic feedback to a GameCore's events (strengths come from config.haptics)
+ * @param {GameCore} gameCore - Core to listen to
+ * @returns {Function} Detach all listeners
+ */
+export function attachHapticEffects(gameCore) {
+  const unsubscribers = [
+    gameCore.on('gelatoCreated', () => triggerHaptic('gelatoPlaced')),
+    gameCore.on('gelatoRejected', () => triggerHaptic('gelatoRejected')),
+    gameCore.on('bounce', () => triggerHaptic('bounce')),
+    gameCore.on('combo', () => triggerHaptic('combo')),
+  ];
+
+  return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}
@@ -0,0 +1,160 @@
+import { config } from '../../config';
+import { getMaterial } from '../core/materials';
+
+/**
+ * Points spaced evenly along a polyline (at most maxCount)
+ */
+function samplePath(points, spacing, maxCount) {
+  const samples = [];
+
+  for (let i = 1; i < points.length && samples.length < maxCount; i++) {
+    const start = points[i - 1];
+    const end = points[i];
+    const length = Math.hypot(end.x - start.x, end.y - start.y);
+    const count = Math.max(1, Math.round(length / spacing));
+
+    for (let j = 0; j < count && samples.length < maxCount; j++) {
+      const t = (j + 0.5) / count;
+      samples.push({ x: start.x + (end.x - start.x) * t, y: start.y + (end.y - start.y) * t });
+    }
+  }
+
+  return samples;
+}
+
+/**
+ * Attach particle emitters to a GameCore's events (counts, lifetimes and colors from config.visuals.particles)
+ *
+ * Particles live in world space and age on the game clock, so they freeze while paused.
+ * Each one moves ballistically from where it was emitted - nothing is stepped per frame,
+ * getParticles() works out positions from the particle's age.
+ *
+ * @param {GameCore} gameCore - Core to listen to
+ * @returns {{ getParticles: Function, detach: Function }}
+ *   getParticles() - Live particles as [{ x, y, radius, color, opacity }] (world space)
+ *   detach() - Remove all listeners
+ */
+export function attachParticleEffects(gameCore) {
+  let particles = [];
+
+  // Fan `count` particles around `angle` (radians, screen space: 0 = right, π/2 = down)
+  const emit = ({ x, y, count, angle, spread, speed, settings, color }) => {
+    if (!config.visuals.particles.enabled) return;
+
+    const createdAt = gameCore.getTime();
+    for (let i = 0; i < count; i++) {
+      const direction = angle + (Math.random() - 0.5) * spread;
+      const particleSpeed = speed * (0.5 + Math.random() * 0.5);
+      particles.push({
+        x,
+        y,
+        velocityX: Math.cos(direction) * particleSpeed,
+        velocityY: Math.sin(direction) * particleSpeed,
+        radius: settings.radius * (0.6 + Math.random() * 0.8),
+        color: color || settings.color,
+        createdAt,
+        lifetimeMs: settings.lifetimeMs * (0.7 + Math.random() * 0.3),
+      });
+    }
+
+    // Drop the oldest beyond the cap
+    const { maxParticles } = config.visuals.particles;
+    if (particles.length > maxParticles) {
+      particles = particles.slice(particles.length - maxParticles);
+    }
+  };
+
+  const unsubscribers = [
+    // Sparks off the contact point, fanned around the bounce normal
+    gameCore.on('bounce', ({ gelato, x, y, strength, normal }) => {
+      const settings = config.visuals.particles.bounce;
+      const radius = config.physics.mascot.radius;
+      emit({
+        x: x - normal.x * radius,
+        y: y - normal.y * radius,
+        count: Math.min(settings.maxCount, Math.round(settings.count + strength * settings.countPerStrength)),
+        angle: Math.atan2(normal.y, normal.x),
+        spread: settings.spread,
+        speed: settings.speed * Math.max(1, strength),
+        settings,
+        color: settings.color || getMaterial(gelato.material).color,
+      });
+    }),
+
+    // Puff at the wall, blowing back into the playfield
+    gameCore.on('wallHit', ({ x, y }) => {
+      const settings = config.visuals.particles.wall;
+      const fromLeft = x < gameCore.width / 2;
+      emit({
+        x: fromLeft ? x - config.physics.mascot.radius : x + config.physics.mascot.radius,
+        y,
+        count: settings.count,
+        angle: fromLeft ? 0 : Math.PI,
+        spread: settings.spread,
+        speed: settings.speed,
+        settings,
+      });
+    }),
+
+    // Burst along the line once its fade finishes (evicted Gelatos just vanish)
+    gameCore.on('gelatoRemoved', ({ gelato, reason }) => {
+      if (reason !== 'faded') return;
+
+      const settings = config.visuals.particles.dissolve;
+      const color = settings.color || getMaterial(gelato.material).color;
+      samplePath(gelato.points, settings.spacing, settings.maxCount).forEach(point => {
+        emit({
+          x: point.x,
+          y: point.y,
+          count: 1,
+          angle: -Math.PI / 2,
+          spread: Math.PI * 2,
+          speed: settings.speed,
+          settings,
+          color,
+        });
+      });
+    }),
+
+    // Fizzle where a refused stroke was drawn, so it doesn't just vanish
+    gameCore.on('gelatoRejected', ({ points }) => {
+      const settings = config.visuals.particles.rejected;
+      samplePath(points, settings.spacing, settings.maxCount).forEach(point => {
+        emit({
+          x: point.x,
+          y: point.y,
+          count: 1,
+          angle: Math.PI / 2,
+          spread: Math.PI * 2,
+          speed: settings.speed,
+          settings,
+        });
+      });
+    }),
+  ];
+
+  const getParticles = () => {
+    if (particles.length === 0) return particles;
+
+    const now = gameCore.getTime();
+    particles = particles.filter(particle => now - particle.createdAt < particle.lifetimeMs);
+
+    const gravity = config.visuals.particles.gravity;
+    return particles.map(particle => {
+      const age = (now - particle.createdAt) / 1000;
+      const life = (now - particle.createdAt) / particle.lifetimeMs;
+      return {
+        x: particle.x + particle.velocityX * age,
+        y: particle.y + particle.velocityY * age + 0.5 * gravity * age * age,
+        radius: particle.radius * (1 - life * 0.5),
+        color: particle.color,
+        opacity: 1 - life,
+      };
+    });
+  };
+
+  return {
+    getParticles,
+    detach: () => unsubscribers.forEach(unsubscribe => unsubscribe()),
+  };
+}
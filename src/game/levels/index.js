@@ -0,0 +1,47 @@
+import firstSteps from './first-steps.json';
+import narrowPass from './narrow-pass.json';
+
+/**
+ * Level registry - extra static bodies laid out for a message
+ *
+ * Level format (JSON):
+ *   {
+ *     "id": "first-steps",
+ *     "bumpers":     [{ "x", "y", "radius" }],          Round bodies that kick the mascot away
+ *     "platforms":   [{ "x", "y", "width", "angle" }],  Static ledges, angle in degrees
+ *     "noDrawZones": [{ "x", "y", "width", "height" }]  Regions where Gelatos can't be drawn
+ *   }
+ *
+ * Coordinates are normalized so a level fits any screen:
+ * - x, width, radius: fraction of the screen width (0 = left edge, 1 = right edge)
+ * - y, height: screen heights up from the bottom of the starting view (1 = top of the first screen)
+ * All positions are element centers.
+ *
+ * Messages pick a level with a "level" id in messages.json.
+ */
+export const levels = {
+  [firstSteps.id]: firstSteps,
+  [narrowPass.id]: narrowPass,
+};
+
+/**
+ * Resolve a level id (or inline level data) into a complete level
+ * @param {string|Object|null} level - Registry id, level data, or null for no level
+ * @returns {Object|null} { id, bumpers, platforms, noDrawZones } or null
+ */
+export function resolveLevel(level) {
+  if (!level) return null;
+
+  const data = typeof level === 'string' ? levels[level] : level;
+  if (!data) {
+    console.warn(`Unknown level: ${level}`);
+    return null;
+  }
+
+  return {
+    id: data.id || null,
+    bumpers: data.bumpers || [],
+    platforms: data.platforms || [],
+    noDrawZones: data.noDrawZones || [],
+  };
+}
@@ -1,47 +1,39 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { StyleSheet, View, Dimensions, Pressable, Text, Animated, ActivityIndicator } from 'react-native';
+import { StyleSheet, View, Pressable, Text, Animated, ActivityIndicator } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
 import { Feather } from '@expo/vector-icons';
-import { GameRenderer } from './GameRenderer';
-import { GameCore } from '../core/GameCore';
+import { GameView } from './GameView';
+import { useGameSession } from './useGameSession';
 import { config } from '../../config';
 import { AdminPortal } from '../../admin/AdminPortal';
+import { TuningPanel } from '../../admin/TuningPanel';
 import { playSound } from '../../utils/audio';
 import { preloadMessageAudio } from '../../services/audioPlayer';
 import { generateAudioForMessage } from '../../services/wordAudioService';
 import { fetchMessages } from '../../admin/githubApi';
 import { Button } from '../../components/Button';
+import { loadValue, saveValue } from '../../services/localStore';
+import { getMaterialNames, getMaterial } from '../core/materials';
+import { isHapticsSupported, loadHapticsPreference, setHapticsEnabled } from '../../utils/haptics';
 
 /**
  * GameApp - Main game component
  * Separated so it can be dynamically imported after Skia loads
  */
 export function GameApp() {
-  // Responsive dimensions - updates on window resize
-  const [dimensions, setDimensions] = useState(() => {
-    const { width, height } = Dimensions.get('window');
-    return { width, height };
-  });
-  // Game physics core
-  const gameCore = useRef(null);
-  const [, forceUpdate] = useState(0);
-
-  // Mascot position from physics
-  const mascotPos = useRef({ x: dimensions.width / 2, y: 100 });
-  const obstacles = useRef([]);
-  const bounceImpact = useRef(null); // Bounce impact data for visual deformation
-  const gelatoCreationTime = useRef(null); // Track creation time for pop-in animation
-  const lastGelatoData = useRef(null); // Track last gelato data to detect changes
-  const currentWord = useRef(null); // Current word being displayed
-  const mascotVelocityY = useRef(0); // Current Y velocity of mascot
-  const squashStretch = useRef({ scaleX: 1, scaleY: 1 }); // Squash/stretch for ball deformation
-
-  // Simple line drawing state
-  const [lines, setLines] = useState([]);
-  const [currentPath, setCurrentPath] = useState(null); // Array of {x, y} points
-
-  // Admin portal state
+  // Material for the next Gelato drawn
+  const [selectedMaterial, setSelectedMaterial] = useState(config.gelato.defaultMaterial);
+
+  // Trajectory assist - predicted arc while drawing (persisted, on by default for new players)
+  const [trajectoryAssist, setTrajectoryAssist] = useState(config.assist.trajectory.defaultEnabled);
+
+  // Player's haptics preference (toggle only shown where haptics exist)
+  const [hapticsOn, setHapticsOn] = useState(true);
+
+  // Admin portal state (button stays hidden until the staircase gesture is performed)
+  const [adminUnlocked, setAdminUnlocked] = useState(false);
   const [showAdmin, setShowAdmin] = useState(false);
+  const [showTuning, setShowTuning] = useState(false); // Live config panel (unlocked with the admin button)
   const [preloadedMessagesData, setPreloadedMessagesData] = useState(null);
   const gameOpacity = useRef(new Animated.Value(1)).current;
   const adminOpacity = useRef(new Animated.Value(0)).current;
@@ -50,240 +42,98 @@ export function GameApp() {
   const [audioGenerating, setAudioGenerating] = useState(false);
   const [audioGenStatus, setAudioGenStatus] = useState('');
 
-  // Remount counter - increment to force remount main game
-  const [gameMountKey, setGameMountKey] = useState(0);
-
-  // Animation frame ref (needs to be accessible to pause/resume)
-  const animationFrameId = useRef(null);
-
-  // Initialize physics once on mount
-  useEffect(() => {
-    // Initialize physics with current dimensions
-    gameCore.current = new GameCore(dimensions.width, dimensions.height);
-
-    // Wait for message to load from GitHub, THEN preload audio
-    const loadOrGenerateAudio = async () => {
-      try {
-        // Wait for message to load from GitHub (if not preview mode)
-        await gameCore.current.messageLoadPromise;
-
-        // NOW get the loaded message text
-        const messageText = gameCore.current.message.join(' ');
-        const words = gameCore.current.message;
-
-        console.log(`🎵 Preloading audio for message: "${messageText}"`);
-
-        // Try to preload existing audio
-        const { loaded, failed } = await preloadMessageAudio(messageText);
-
-        console.log(`✓ Audio preloaded: ${loaded.length} words`);
-
-        // If NO audio loaded and we have words, or if any words failed to load, generate them
-        const needsGeneration = (loaded.length === 0 && words.length > 0) || failed.length > 0;
-
-        if (needsGeneration) {
-          console.log(`🎤 Generating missing audio for message...`);
-          setAudioGenerating(true);
-          setAudioGenStatus(`Checking for new words...`);
-
-          const result = await generateAudioForMessage(messageText, (word, current, total) => {
-            setAudioGenStatus(`Generating audio: "${word}" (${current}/${total})`);
-          });
-
-          if (result.generated.length > 0) {
-            console.log(`✓ Generated audio for ${result.generated.length} word(s)`);
-
-            // Now preload the newly generated audio
-            const { loaded: newLoaded } = await preloadMessageAudio(messageText);
-            console.log(`✓ Loaded ${newLoaded.length} word audio files`);
-          } else {
-            console.log(`✓ All words already have audio`);
+  // Live message game - the loop stops while the admin portal is open
+  const session = useGameSession({
+    running: !showAdmin,
+    material: selectedMaterial,
+    trajectoryAssist,
+    persistBestHeight: true,
+    onStart: (core) => {
+      // Reveal the admin button once the staircase gesture is completed
+      core.on('adminUnlock', () => {
+        playSound('expand-card');
+        setAdminUnlocked(true);
+      });
+
+      // Wait for message to load from GitHub, THEN preload audio
+      const loadOrGenerateAudio = async () => {
+        try {
+          // Wait for message to load from GitHub (if not preview mode)
+          await core.messageLoadPromise;
+
+          // NOW get the loaded message text
+          const messageText = core.message.join(' ');
+          const words = core.message;
+
+          console.log(`🎵 Preloading audio for message: "${messageText}"`);
+
+          // Try to preload existing audio
+          const { loaded, failed } = await preloadMessageAudio(messageText);
+
+          console.log(`✓ Audio preloaded: ${loaded.length} words`);
+
+          // If NO audio loaded and we have words, or if any words failed to load, generate them
+          const needsGeneration = (loaded.length === 0 && words.length > 0) || failed.length > 0;
+
+          if (needsGeneration) {
+            console.log(`🎤 Generating missing audio for message...`);
+            setAudioGenerating(true);
+            setAudioGenStatus(`Checking for new words...`);
+
+            const result = await generateAudioForMessage(messageText, (word, current, total) => {
+              setAudioGenStatus(`Generating audio: "${word}" (${current}/${total})`);
+            });
+
+            if (result.generated.length > 0) {
+              console.log(`✓ Generated audio for ${result.generated.length} word(s)`);
+
+              // Now preload the newly generated audio
+              const { loaded: newLoaded } = await preloadMessageAudio(messageText);
+              console.log(`✓ Loaded ${newLoaded.length} word audio files`);
+            } else {
+              console.log(`✓ All words already have audio`);
+            }
+
+            setAudioGenerating(false);
+            setAudioGenStatus('');
           }
-
+        } catch (error) {
+          console.error('Failed to load/generate audio:', error);
           setAudioGenerating(false);
           setAudioGenStatus('');
         }
-      } catch (error) {
-        console.error('Failed to load/generate audio:', error);
-        setAudioGenerating(false);
-        setAudioGenStatus('');
-      }
-    };
-
-    loadOrGenerateAudio();
-
-    let lastTime = performance.now();
-
-    const animate = (currentTime) => {
-      const deltaTime = currentTime - lastTime;
-      lastTime = currentTime;
-
-      // Cap delta time to 16.667ms (60fps) to avoid Matter.js warnings
-      const cappedDelta = Math.min(deltaTime, 16.667);
-
-      // Update physics simulation
-      gameCore.current.step(cappedDelta);
-
-      // Get updated positions from physics
-      mascotPos.current = gameCore.current.getMascotPosition();
-      obstacles.current = gameCore.current.getObstacles();
-      bounceImpact.current = gameCore.current.getBounceImpact();
-      gelatoCreationTime.current = gameCore.current.getGelatoCreationTime();
-      currentWord.current = gameCore.current.getCurrentWord();
-      mascotVelocityY.current = gameCore.current.getMascotVelocityY();
-      squashStretch.current = gameCore.current.getSquashStretch();
-
-      // Sync lines with GameCore (updates when gelato destroyed after fade)
-      const currentGelatoData = gameCore.current.getGelatoLineData();
-      if (currentGelatoData !== lastGelatoData.current) {
-        lastGelatoData.current = currentGelatoData;
-        setLines(currentGelatoData ? [currentGelatoData] : []);
-      }
-
-      // Force re-render
-      forceUpdate(n => n + 1);
-
-      // Continue animation loop
-      animationFrameId.current = requestAnimationFrame(animate);
-    };
-
-    animationFrameId.current = requestAnimationFrame(animate);
-
-    return () => {
-      if (animationFrameId.current) {
-        cancelAnimationFrame(animationFrameId.current);
-      }
-      if (gameCore.current) {
-        gameCore.current.destroy();
-      }
-    };
-  }, []); // Only on mount
-
-  // Pause/resume animation when admin portal opens/closes
-  useEffect(() => {
-    if (showAdmin) {
-      // Pause animation loop when admin opens
-      if (animationFrameId.current) {
-        cancelAnimationFrame(animationFrameId.current);
-        animationFrameId.current = null;
-      }
-    } else {
-      // Resume animation loop when admin closes (if not already running)
-      if (!animationFrameId.current && gameCore.current) {
-        let lastTime = performance.now();
-
-        const animate = (currentTime) => {
-          const deltaTime = currentTime - lastTime;
-          lastTime = currentTime;
-
-          const cappedDelta = Math.min(deltaTime, 16.667);
-          gameCore.current.step(cappedDelta);
-
-          mascotPos.current = gameCore.current.getMascotPosition();
-          obstacles.current = gameCore.current.getObstacles();
-          bounceImpact.current = gameCore.current.getBounceImpact();
-          gelatoCreationTime.current = gameCore.current.getGelatoCreationTime();
-          currentWord.current = gameCore.current.getCurrentWord();
-          mascotVelocityY.current = gameCore.current.getMascotVelocityY();
-
-          const currentGelatoData = gameCore.current.getGelatoLineData();
-          if (currentGelatoData !== lastGelatoData.current) {
-            lastGelatoData.current = currentGelatoData;
-            setLines(currentGelatoData ? [currentGelatoData] : []);
-          }
-
-          forceUpdate(n => n + 1);
-          animationFrameId.current = requestAnimationFrame(animate);
-        };
+      };
 
-        animationFrameId.current = requestAnimationFrame(animate);
-      }
-    }
-  }, [showAdmin])
+      loadOrGenerateAudio();
+    },
+  });
 
-  // Handle window resize - update boundaries without resetting game
+  // Restore the player's preferences
   useEffect(() => {
-    const subscription = Dimensions.addEventListener('change', ({ window }) => {
-      const newDimensions = { width: window.width, height: window.height };
-      setDimensions(newDimensions);
-
-      // Update boundaries live without destroying game
-      if (gameCore.current) {
-        gameCore.current.updateBoundaries(newDimensions.width, newDimensions.height);
-      }
-    });
-
-    return () => subscription?.remove();
+    loadHapticsPreference().then(setHapticsOn);
+    loadValue('trajectoryAssist', config.assist.trajectory.defaultEnabled).then(setTrajectoryAssist);
   }, []);
 
-  // Helper: Calculate total path length
-  const calculatePathLength = (points) => {
-    let length = 0;
-    for (let i = 1; i < points.length; i++) {
-      const dx = points[i].x - points[i - 1].x;
-      const dy = points[i].y - points[i - 1].y;
-      length += Math.sqrt(dx * dx + dy * dy);
-    }
-    return length;
+  const selectMaterial = (material) => {
+    playSound('click');
+    setSelectedMaterial(material);
   };
 
-  // Helper: Trim path from start to maintain max length
-  const trimPathToMaxLength = (points, maxLength) => {
-    let totalLength = calculatePathLength(points);
-    let trimmedPoints = [...points];
-
-    while (totalLength > maxLength && trimmedPoints.length > 2) {
-      // Remove first point
-      const dx = trimmedPoints[1].x - trimmedPoints[0].x;
-      const dy = trimmedPoints[1].y - trimmedPoints[0].y;
-      const segmentLength = Math.sqrt(dx * dx + dy * dy);
-
-      trimmedPoints.shift();
-      totalLength -= segmentLength;
-    }
-
-    return trimmedPoints;
+  const toggleTrajectoryAssist = () => {
+    playSound('click');
+    setTrajectoryAssist(!trajectoryAssist);
+    saveValue('trajectoryAssist', !trajectoryAssist);
   };
 
-  // Touch handlers for drawing lines
-  const handleTouchStart = (event) => {
-    const touch = event.nativeEvent.touches?.[0] || event.nativeEvent;
-    setCurrentPath([{ x: touch.pageX, y: touch.pageY }]);
+  const toggleHaptics = () => {
+    playSound('click');
+    setHapticsOn(!hapticsOn);
+    setHapticsEnabled(!hapticsOn);
   };
 
-  const handleTouchMove = (event) => {
-    if (!currentPath) return;
-    const touch = event.nativeEvent.touches?.[0] || event.nativeEvent;
-
-    // Add current point to path
-    const newPath = [...currentPath, { x: touch.pageX, y: touch.pageY }];
-
-    // Trim path if it exceeds max length (sliding start)
-    const trimmedPath = trimPathToMaxLength(newPath, config.gelato.maxLength);
-
-    setCurrentPath(trimmedPath);
-  };
-
-  const handleTouchEnd = () => {
-    if (currentPath && currentPath.length >= 2 && gameCore.current) {
-      // Create straight-line Gelato from first to last point of path
-      const startPoint = currentPath[0];
-      const endPoint = currentPath[currentPath.length - 1];
-
-      const gelatoLine = gameCore.current.createGelato(
-        startPoint.x,
-        startPoint.y,
-        endPoint.x,
-        endPoint.y
-      );
-
-      // Store the clamped line for visual rendering
-      if (gelatoLine) {
-        setLines([gelatoLine]); // Replace old lines (only one Gelato at a time)
-      }
-
-      setCurrentPath(null);
-    }
+  const toggleTuning = () => {
+    playSound('click');
+    setShowTuning(!showTuning);
   };
 
   // Admin portal toggle functions
@@ -306,43 +156,59 @@ export function GameApp() {
 
   const closeAdmin = () => {
     setShowAdmin(false);
-    // Reset game opacity to 1 and force remount of main game to reset physics
+    // Reset game opacity to 1 and start a fresh game (picks up a newly published message)
     gameOpacity.setValue(1);
-    setGameMountKey(prev => prev + 1);
+    session.restart();
   };
 
   return (
     <View style={styles.container}>
       {/* Game view - unmount completely when admin is open */}
       {!showAdmin && (
-        <View
-          key={gameMountKey}
-          style={styles.fullScreen}
-          onStartShouldSetResponder={() => true}
-          onResponderGrant={handleTouchStart}
-          onResponderMove={handleTouchMove}
-          onResponderRelease={handleTouchEnd}
-        >
-          <GameRenderer
-            width={dimensions.width}
-            height={dimensions.height}
-            mascotX={mascotPos.current.x}
-            mascotY={mascotPos.current.y}
-            obstacles={obstacles.current}
-            lines={lines}
-            currentPath={currentPath}
-            bounceImpact={bounceImpact.current}
-            gelatoCreationTime={gelatoCreationTime.current}
-            currentWord={currentWord.current}
-            mascotVelocityY={mascotVelocityY.current}
-            squashStretch={squashStretch.current}
-          />
-
-          {/* Admin Button - Feather Icon */}
-          <Pressable onPress={openAdmin} style={styles.adminButton}>
-            <Feather name="feather" size={20} color="#ffffff" style={{ opacity: 0.6 }} />
+        <GameView session={session} material={selectedMaterial} style={styles.fullScreen}>
+          {/* Gelato material picker */}
+          <View style={styles.materialPicker} pointerEvents="box-none">
+            {getMaterialNames().map(material => (
+              <Pressable key={material} onPress={() => selectMaterial(material)} style={styles.materialButton}>
+                <View
+                  style={[
+                    styles.materialSwatch,
+                    { backgroundColor: getMaterial(material).color },
+                    material === selectedMaterial && styles.materialSwatchSelected,
+                  ]}
+                />
+              </Pressable>
+            ))}
+          </View>
+
+          {/* Trajectory assist toggle */}
+          <Pressable onPress={toggleTrajectoryAssist} style={styles.assistButton}>
+            <Feather name="trending-up" size={18} color="#ffffff" style={{ opacity: trajectoryAssist ? 0.6 : 0.2 }} />
           </Pressable>
-        </View>
+
+          {/* Haptics toggle (native only - web has no haptics) */}
+          {isHapticsSupported() && (
+            <Pressable onPress={toggleHaptics} style={styles.hapticsButton}>
+              <Feather name={hapticsOn ? 'zap' : 'zap-off'} size={18} color="#ffffff" style={{ opacity: 0.6 }} />
+            </Pressable>
+          )}
+
+          {/* Admin Button - Feather Icon (unlocked by the staircase gesture) */}
+          {adminUnlocked && (
+            <Pressable onPress={openAdmin} style={styles.adminButton}>
+              <Feather name="feather" size={20} color="#ffffff" style={{ opacity: 0.6 }} />
+            </Pressable>
+          )}
+
+          {/* Tuning panel toggle - next to the admin button */}
+          {adminUnlocked && !showTuning && (
+            <Pressable onPress={toggleTuning} style={styles.tuningButton}>
+              <Feather name="sliders" size={18} color="#ffffff" style={{ opacity: 0.6 }} />
+            </Pressable>
+          )}
+
+          {showTuning && <TuningPanel onClose={toggleTuning} />}
+        </GameView>
       )}
 
       {/* Admin portal - unmount when closed */}
@@ -391,6 +257,70 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     zIndex: 1000,
   },
+  tuningButton: {
+    position: 'absolute',
+    top: 50,
+    right: 106,
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: 'rgba(255, 255, 255, 0.05)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: 1000,
+  },
+  materialPicker: {
+    position: 'absolute',
+    bottom: 50,
+    left: 0,
+    right: 0,
+    flexDirection: 'row',
+    justifyContent: 'center',
+    gap: 4,
+    zIndex: 1000,
+  },
+  materialButton: {
+    width: 32,
+    height: 44,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  materialSwatch: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    opacity: 0.4,
+  },
+  materialSwatchSelected: {
+    width: 16,
+    height: 16,
+    borderRadius: 8,
+    opacity: 1,
+  },
+  assistButton: {
+    position: 'absolute',
+    bottom: 106,
+    right: 50,
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: 'rgba(255, 255, 255, 0.05)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: 1000,
+  },
+  hapticsButton: {
+    position: 'absolute',
+    bottom: 50,
+    right: 50,
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: 'rgba(255, 255, 255, 0.05)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: 1000,
+  },
   audioStatusContainer: {
     position: 'absolute',
     bottom: 40,
@@ -1,7 +1,11 @@
-import React, { useEffect, useRef } from 'react';
-import { Canvas, Circle, Fill, Line, Rect, vec, DashPathEffect, Path, Skia, Group } from '@shopify/react-native-skia';
-import { Text, View, StyleSheet, Animated } from 'react-native';
+import React, { useEffect, useRef, useState } from 'react';
+import { Canvas, Fill, DashPathEffect, Path, Picture, Skia } from '@shopify/react-native-skia';
+import { Text, View, StyleSheet, Animated, Pressable } from 'react-native';
+import Reanimated, { useAnimatedStyle, useDerivedValue } from 'react-native-reanimated';
 import { config } from '../../config';
+import { getMaterial } from '../core/materials';
+import { viewportScale } from '../core/viewport';
+import { recordScene } from './drawScene';
 
 // Load Inter font (clean, geometric, open-source)
 if (typeof document !== 'undefined') {
@@ -14,14 +18,14 @@ if (typeof document !== 'undefined') {
 /**
  * WaveText - Mexican wave effect where each letter waves in sequence
  */
-function WaveText({ text, opacity }) {
+function WaveText({ text, viewScale }) {
   const letters = text.split('');
   const totalLetters = letters.length;
 
   return (
-    <View style={{ flexDirection: 'row', opacity }}>
+    <View style={{ flexDirection: 'row' }}>
       {letters.map((letter, index) => (
-        <WaveLetter key={`${text}-${index}`} letter={letter} index={index} totalLetters={totalLetters} />
+        <WaveLetter key={`${text}-${index}`} letter={letter} index={index} totalLetters={totalLetters} viewScale={viewScale} />
       ))}
     </View>
   );
@@ -30,7 +34,7 @@ function WaveText({ text, opacity }) {
 /**
  * WaveLetter - Individual letter with wave animation
  */
-function WaveLetter({ letter, index, totalLetters }) {
+function WaveLetter({ letter, index, totalLetters, viewScale }) {
   const translateY = useRef(new Animated.Value(0)).current;
   const scale = useRef(new Animated.Value(1)).current;
 
@@ -81,6 +85,9 @@ function WaveLetter({ letter, index, totalLetters }) {
       style={[
         styles.word,
         {
+          // Read live so the tuning panel can change them at runtime (size is in world units)
+          fontSize: config.visuals.wordFontSize * viewScale,
+          color: config.visuals.wordColor,
           transform: [
             { translateY },
             { scale },
@@ -93,66 +100,102 @@ function WaveLetter({ letter, index, totalLetters }) {
   );
 }
 
+/**
+ * RecapWord - One word of the completion recap, rising in after its turn
+ */
+function RecapWord({ word, index }) {
+  const opacity = useRef(new Animated.Value(0)).current;
+  const translateY = useRef(new Animated.Value(12)).current;
+
+  useEffect(() => {
+    const delay = index * config.completion.wordStaggerMs;
+    const animation = Animated.parallel([
+      Animated.timing(opacity, {
+        toValue: 1,
+        duration: 300,
+        delay,
+        useNativeDriver: true,
+      }),
+      Animated.spring(translateY, {
+        toValue: 0,
+        delay,
+        friction: 5,
+        tension: 120,
+        useNativeDriver: true,
+      }),
+    ]);
+
+    animation.start();
+    return () => animation.stop();
+  }, [index]);
+
+  return (
+    <Animated.Text style={[styles.recapWord, { opacity, transform: [{ translateY }] }]}>
+      {word}
+    </Animated.Text>
+  );
+}
+
+/**
+ * MessageRecap - Full sentence shown when the last word is revealed, with replay/continue choices
+ */
+function MessageRecap({ message, onReplay, onKeepBouncing }) {
+  const actionsOpacity = useRef(new Animated.Value(0)).current;
+
+  useEffect(() => {
+    // Offer the choices once the whole sentence has appeared
+    const animation = Animated.timing(actionsOpacity, {
+      toValue: 1,
+      duration: 400,
+      delay: message.length * config.completion.wordStaggerMs + 300,
+      useNativeDriver: true,
+    });
+
+    animation.start();
+    return () => animation.stop();
+  }, [message.length]);
+
+  return (
+    <View style={styles.recapContainer} pointerEvents="box-none">
+      <View style={styles.recapSentence} pointerEvents="none">
+        {message.map((word, index) => (
+          <RecapWord key={`${word}-${index}`} word={word} index={index} />
+        ))}
+      </View>
+
+      <Animated.View style={[styles.recapActions, { opacity: actionsOpacity }]}>
+        <Pressable onPress={onReplay} style={styles.recapAction}>
+          <Text style={styles.recapActionText}>replay</Text>
+        </Pressable>
+        <Pressable onPress={onKeepBouncing} style={styles.recapAction}>
+          <Text style={styles.recapActionText}>keep bouncing</Text>
+        </Pressable>
+      </Animated.View>
+    </View>
+  );
+}
+
 /**
  * GameRenderer - Unified Skia renderer for all platforms
  * This same code works on Web, iOS, and Android
+ *
+ * Per-frame motion arrives through the `frame` shared value (see buildFrameScene) and is
+ * drawn without React. Props only change when what the overlays show changes.
  */
-export function GameRenderer({ width, height, mascotX, mascotY, obstacles = [], lines = [], currentPath = null, bounceImpact = null, gelatoCreationTime = null, currentWord = null, mascotVelocityY = 0, squashStretch = { scaleX: 1, scaleY: 1 } }) {
-  // Calculate word opacity based on configured fade mode
-  let wordOpacity = 0;
-
-  if (currentWord) {
-    if (config.visuals.wordFadeMode === 'velocity') {
-      // Velocity-based fade: opacity synced 1:1 with ball motion
-      if (currentWord.initialVelocityY !== undefined) {
-        // At bounce: initialVelocityY is negative (upward)
-        // As ball falls: velocityY increases toward positive (downward)
-        // Fade from 100% to 0% as velocity goes from initial (negative) to 0 (peak) to positive
-        const velocityRange = Math.abs(currentWord.initialVelocityY);
-        const velocityChange = mascotVelocityY - currentWord.initialVelocityY;
-
-        // Normalize velocity change: 0 at bounce, 1 when velocity reverses completely
-        const fadeProgress = Math.min(1, Math.max(0, velocityChange / (velocityRange * 2)));
-        wordOpacity = 1 - fadeProgress;
-      }
-    } else if (config.visuals.wordFadeMode === 'static') {
-      // Static/time-based fade: three-phase animation (fade-in, persist, fade-out)
-      const timeSinceReveal = Date.now() - currentWord.timestamp;
-      const fadeInDuration = config.visuals.wordFadeInMs;
-      const persistDuration = config.visuals.wordPersistMs;
-      const fadeOutDuration = config.visuals.wordFadeOutMs;
-
-      if (timeSinceReveal < fadeInDuration) {
-        // Phase 1: Fade in from 0% → 100%
-        wordOpacity = timeSinceReveal / fadeInDuration;
-      } else if (timeSinceReveal < fadeInDuration + persistDuration) {
-        // Phase 2: Stay at 100%
-        wordOpacity = 1;
-      } else if (timeSinceReveal < fadeInDuration + persistDuration + fadeOutDuration) {
-        // Phase 3: Fade out from 100% → 0%
-        const fadeOutProgress = (timeSinceReveal - fadeInDuration - persistDuration) / fadeOutDuration;
-        wordOpacity = 1 - fadeOutProgress;
-      } else {
-        // Fully faded out
-        wordOpacity = 0;
-      }
-    }
-  }
+export function GameRenderer({ width, height, frame, currentPath = null, currentMaterial = null, currentWord = null, heightStats = null, messageProgress = null, lossRecap = null, combo = null, completion = null, onReplay, onKeepBouncing, readDebug = null }) {
+  // World-space layers, split around the screen-space stroke preview
+  const below = useDerivedValue(() => recordScene(frame.value.below, frame.value.cameraY, frame.value.scale, width, height), [width, height]);
+  const above = useDerivedValue(() => recordScene(frame.value.above, frame.value.cameraY, frame.value.scale, width, height), [width, height]);
+  const debug = useDerivedValue(() => recordScene(frame.value.debug, frame.value.cameraY, frame.value.scale, width, height), [width, height]);
 
-  // Calculate word vertical offset - DIRECT 1:1 mapping with velocity
-  // Negative velocity (up) = negative offset (up), positive velocity (down) = positive offset (down)
-  let wordVerticalOffset = 0;
-  if (currentWord && currentWord.initialVelocityY !== undefined) {
-    const maxOffset = 50; // Maximum offset in either direction
-    const velocityRange = Math.abs(currentWord.initialVelocityY);
+  // Screen pixels per world unit (the stroke preview and word are drawn in screen space)
+  const scale = viewportScale(width, height);
 
-    // Direct analog mapping: velocity -20 to +20 maps to offset -50 to +50
-    // Velocity negative (up) → offset negative (up), velocity positive (down) → offset positive (down)
-    const normalizedVelocity = Math.max(-1, Math.min(1, mascotVelocityY / velocityRange));
-    wordVerticalOffset = normalizedVelocity * maxOffset;
-
-    console.log('Velocity:', mascotVelocityY.toFixed(2), '→ Offset:', wordVerticalOffset.toFixed(2));
-  }
+  // Word follows the mascot's motion (opacity and vertical offset computed per frame)
+  const wordStyle = useAnimatedStyle(() => ({
+    opacity: frame.value.word.opacity,
+    transform: [{ translateY: frame.value.word.offsetY * frame.value.scale }],
+  }));
 
   return (
     <View style={{ width, height, position: 'relative' }}>
@@ -160,214 +203,180 @@ export function GameRenderer({ width, height, mascotX, mascotY, obstacles = [],
         {/* Background */}
         <Fill color={config.visuals.backgroundColor} />
 
-      {/* Draw obstacles (walls/ground) if visible in config */}
-      {config.walls.visible && obstacles.map((obstacle, index) => (
-        <Rect
-          key={index}
-          x={obstacle.x - obstacle.width / 2}
-          y={obstacle.y - obstacle.height / 2}
-          width={obstacle.width}
-          height={obstacle.height}
-          color="#333"
-        />
-      ))}
+        {/* No-draw zones, obstacles and Gelatos */}
+        <Picture picture={below} />
 
-      {/* Draw all completed lines (Gelatos) with deformation effect */}
-      {lines.map((line, index) => {
-        // Check if we should apply deformation or fade to this line
-        if (bounceImpact && bounceImpact.timestamp) {
-          const timeSinceBounce = Date.now() - bounceImpact.timestamp;
-          const deformConfig = config.gelato.deformation;
-          const fadeOutDuration = config.gelato.fadeOutDuration;
-
-          // Calculate fade out opacity (independent of deformation)
-          const fadeProgress = Math.min(timeSinceBounce / fadeOutDuration, 1);
-          const opacity = 1 - fadeProgress;
-
-          // Apply deformation if still within deformation duration
-          if (timeSinceBounce < deformConfig.duration) {
-            // Calculate progress through the animation (0 to 1)
-            const progress = timeSinceBounce / deformConfig.duration;
-
-            // Apply oscillation with exponential decay (real spring physics)
-            const frequency = deformConfig.frequency * Math.PI * 2;
-            const dampingFactor = Math.exp(-deformConfig.damping * progress * 5); // Exponential decay
-            const oscillation = Math.sin(frequency * progress) * dampingFactor;
-
-            // Calculate bend amount with oscillation
-            const impactStrength = Math.min(bounceImpact.strength / 10, 1);
-            const bendAmount = deformConfig.maxBendAmount * oscillation * impactStrength;
-
-            // Find the point on the line closest to impact
-            const dx = line.endX - line.startX;
-            const dy = line.endY - line.startY;
-            const lineLength = Math.sqrt(dx * dx + dy * dy);
-
-            // Project impact point onto line
-            const impactDx = bounceImpact.x - line.startX;
-            const impactDy = bounceImpact.y - line.startY;
-            const t = Math.max(0, Math.min(1, (impactDx * dx + impactDy * dy) / (lineLength * lineLength)));
-
-            // Calculate bend point (middle of line, displaced perpendicular)
-            const bendX = line.startX + dx * t;
-            const bendY = line.startY + dy * t;
-
-            // Perpendicular direction (for bending)
-            const perpX = -dy / lineLength;
-            const perpY = dx / lineLength;
-
-            // Apply bend displacement
-            const displacedX = bendX + perpX * bendAmount;
-            const displacedY = bendY + perpY * bendAmount;
-
-            // Draw curved line using quadratic bezier
-            const path = Skia.Path.Make();
-            path.moveTo(line.startX, line.startY);
-            path.quadTo(displacedX, displacedY, line.endX, line.endY);
-
-            return (
-              <Path
-                key={index}
-                path={path}
-                color={`rgba(255, 255, 255, ${opacity})`}
-                style="stroke"
-                strokeWidth={config.gelato.thickness}
-              />
-            );
+        {/* Draw current path being drawn (dotted curved preview, screen-space) */}
+        {currentPath && currentPath.length >= 2 && (() => {
+          const path = Skia.Path.Make();
+          path.moveTo(currentPath[0].x, currentPath[0].y);
+          for (let i = 1; i < currentPath.length; i++) {
+            path.lineTo(currentPath[i].x, currentPath[i].y);
           }
-
-          // Still fading but no longer deforming - draw straight line with fade
           return (
-            <Line
-              key={index}
-              p1={vec(line.startX, line.startY)}
-              p2={vec(line.endX, line.endY)}
-              color={`rgba(255, 255, 255, ${opacity})`}
+            <Path
+              path={path}
+              color={getMaterial(currentMaterial).color}
+              opacity={0.6}
               style="stroke"
-              strokeWidth={config.gelato.thickness}
-            />
+              strokeWidth={config.gelato.thickness * scale}
+              strokeCap="round"
+            >
+              <DashPathEffect intervals={[1, 15]} />
+            </Path>
           );
-        }
-
-        // Check for creation animation (pop-in effect)
-        if (gelatoCreationTime) {
-          const timeSinceCreation = Date.now() - gelatoCreationTime;
-          const creationConfig = config.gelato.creation;
-
-          if (timeSinceCreation < creationConfig.duration) {
-            // Calculate progress through creation animation
-            const progress = timeSinceCreation / creationConfig.duration;
-
-            // Apply oscillation from center with exponential decay
-            const frequency = creationConfig.frequency * Math.PI * 2;
-            const dampingFactor = Math.exp(-creationConfig.damping * progress * 5); // Exponential decay
-            const oscillation = Math.sin(frequency * progress) * dampingFactor;
-
-            // Bend amount for creation
-            const bendAmount = creationConfig.maxBendAmount * oscillation;
-
-            // Calculate center point and perpendicular direction
-            const dx = line.endX - line.startX;
-            const dy = line.endY - line.startY;
-            const lineLength = Math.sqrt(dx * dx + dy * dy);
-
-            // Bend at center (t = 0.5)
-            const centerX = line.startX + dx * 0.5;
-            const centerY = line.startY + dy * 0.5;
-
-            // Perpendicular direction
-            const perpX = -dy / lineLength;
-            const perpY = dx / lineLength;
-
-            // Apply bend displacement from center
-            const displacedX = centerX + perpX * bendAmount;
-            const displacedY = centerY + perpY * bendAmount;
-
-            // Draw curved line
-            const path = Skia.Path.Make();
-            path.moveTo(line.startX, line.startY);
-            path.quadTo(displacedX, displacedY, line.endX, line.endY);
-
-            return (
-              <Path
-                key={index}
-                path={path}
-                color="white"
-                style="stroke"
-                strokeWidth={config.gelato.thickness}
-              />
-            );
-          }
-        }
-
-        // No animation - draw normal line
-        return (
-          <Line
-            key={index}
-            p1={vec(line.startX, line.startY)}
-            p2={vec(line.endX, line.endY)}
-            color="white"
-            style="stroke"
-            strokeWidth={config.gelato.thickness}
-          />
-        );
-      })}
-
-      {/* Draw current path being drawn (dotted curved preview) */}
-      {currentPath && currentPath.length >= 2 && (() => {
-        const path = Skia.Path.Make();
-        path.moveTo(currentPath[0].x, currentPath[0].y);
-        for (let i = 1; i < currentPath.length; i++) {
-          path.lineTo(currentPath[i].x, currentPath[i].y);
-        }
-        return (
-          <Path
-            path={path}
-            color="rgba(255, 255, 255, 0.6)"
-            style="stroke"
-            strokeWidth={config.gelato.thickness}
-            strokeCap="round"
-          >
-            <DashPathEffect intervals={[1, 15]} />
-          </Path>
-        );
-      })()}
-
-      {/* Mascot circle (now physics-based with squash and stretch!) */}
-      <Group
-        transform={[
-          { translateX: mascotX },
-          { translateY: mascotY },
-          { scaleX: squashStretch.scaleX },
-          { scaleY: squashStretch.scaleY },
-          { translateX: -mascotX },
-          { translateY: -mascotY },
-        ]}
-      >
-        <Circle
-          cx={mascotX}
-          cy={mascotY}
-          r={config.physics.mascot.radius}
-          color="white"
-          style="stroke"
-          strokeWidth={2}
-        />
-      </Group>
+        })()}
+
+        {/* Trajectory, particles, mascot and celebration drawn above the preview */}
+        <Picture picture={above} />
 
+        {/* Physics debug overlay - collision outlines, velocity, bounce normals (empty when off) */}
+        <Picture picture={debug} />
       </Canvas>
 
-      {/* Word overlay with Mexican wave animation */}
-      {currentWord && wordOpacity > 0 && (
-        <View
-          style={[
-            styles.wordContainer,
-            { transform: [{ translateY: wordVerticalOffset }] }
-          ]}
-          pointerEvents="none"
-        >
-          <WaveText text={currentWord.text} opacity={wordOpacity} />
+      {/* Word overlay with Mexican wave animation (the recap replaces it on completion) */}
+      {currentWord && !completion && (
+        <Reanimated.View style={[styles.wordContainer, wordStyle]} pointerEvents="none">
+          <WaveText text={currentWord.text} viewScale={scale} />
+        </Reanimated.View>
+      )}
+
+      {/* Completion recap - the whole sentence, then replay or keep bouncing */}
+      {completion && (
+        <MessageRecap
+          key={completion.timestamp}
+          message={completion.message}
+          onReplay={onReplay}
+          onKeepBouncing={onKeepBouncing}
+        />
+      )}
+
+      {/* Sentence trail - words revealed so far (hidden while the recap shows the full sentence) */}
+      {config.visuals.sentenceTrail.enabled && messageProgress && !completion && (
+        <SentenceTrail progress={messageProgress} />
+      )}
+
+      {/* Loss recap - words carried over after a fall, shown while the mascot re-enters */}
+      {lossRecap && !currentWord && !completion && (
+        <LossRecap recap={lossRecap} frame={frame} />
+      )}
+
+      {/* Height counter - light and secondary to the message */}
+      {config.progression.showHeight && heightStats && heightStats.max > 0 && (
+        <View style={styles.heightContainer} pointerEvents="none">
+          <Text style={styles.heightText}>
+            {Math.floor(heightStats.current)}{config.progression.unitLabel}
+          </Text>
+          <Text style={styles.heightBestText}>
+            best {Math.floor(heightStats.best)}{config.progression.unitLabel}
+          </Text>
         </View>
       )}
+
+      {/* Combo indicator - bottom corner opposite the haptics toggle, only while a streak is going */}
+      {config.combo.showIndicator && combo && combo.count >= config.combo.minCountToShow && !completion && (
+        <ComboIndicator combo={combo} frame={frame} />
+      )}
+
+      {/* Physics debug readout - loop timing and GameCore state */}
+      {readDebug && <DebugReadout read={readDebug} />}
+    </View>
+  );
+}
+
+/**
+ * SentenceTrail - Faint line of the revealed words, or one dot per word
+ */
+function SentenceTrail({ progress }) {
+  const { words, revealed } = progress;
+
+  if (config.visuals.sentenceTrail.style === 'dots') {
+    return (
+      <View style={styles.trailContainer} pointerEvents="none">
+        <View style={styles.trailDots}>
+          {words.map((word, index) => (
+            <View key={index} style={[styles.trailDot, index < revealed && styles.trailDotRevealed]} />
+          ))}
+        </View>
+      </View>
+    );
+  }
+
+  if (revealed === 0) return null;
+
+  return (
+    <View style={styles.trailContainer} pointerEvents="none">
+      <Text style={styles.trailText}>{words.slice(0, revealed).join(' ')}</Text>
+    </View>
+  );
+}
+
+/**
+ * LossRecap - The words revealed before the fall, fading in and back out during the re-entrance
+ * Words the loss policy takes back are struck through
+ */
+function LossRecap({ recap, frame }) {
+  const fadeStyle = useAnimatedStyle(() => ({ opacity: 0.5 * frame.value.lossRecapOpacity }));
+
+  return (
+    <View style={styles.wordContainer} pointerEvents="none">
+      <Reanimated.Text style={[styles.lossRecapText, fadeStyle]}>
+        {recap.words.slice(0, recap.kept).join(' ')}
+        {recap.kept > 0 && recap.kept < recap.words.length ? ' ' : ''}
+        <Text style={styles.lossRecapLostText}>{recap.words.slice(recap.kept).join(' ')}</Text>
+      </Reanimated.Text>
+    </View>
+  );
+}
+
+/**
+ * ComboIndicator - Streak count with a brief "+points" pop after each bounce
+ */
+function ComboIndicator({ combo, frame }) {
+  const { lastPoints } = combo;
+  const popupStyle = useAnimatedStyle(() => ({ opacity: 0.6 * frame.value.comboPopupOpacity }));
+
+  return (
+    <View style={styles.comboContainer} pointerEvents="none">
+      <Text style={styles.comboText}>×{combo.count}</Text>
+      <Text style={styles.comboScoreText}>{combo.score}</Text>
+      {lastPoints && (
+        <Reanimated.Text style={[styles.comboPointsText, popupStyle]}>
+          +{lastPoints.points}{lastPoints.heightBonus ? ' ↑' : ''}
+        </Reanimated.Text>
+      )}
+    </View>
+  );
+}
+
+/**
+ * DebugReadout - fps, physics step time and GameCore flags, refreshed a few times a second
+ */
+function DebugReadout({ read }) {
+  const readRef = useRef(read);
+  readRef.current = read;
+  const [info, setInfo] = useState(read);
+
+  useEffect(() => {
+    const interval = setInterval(() => setInfo(readRef.current()), 250);
+    return () => clearInterval(interval);
+  }, []);
+
+  const { fps, stepMs, flags } = info;
+
+  return (
+    <View style={styles.debugContainer} pointerEvents="none">
+      <Text style={styles.debugText}>{fps.toFixed(1)} fps · step {stepMs.toFixed(2)}ms</Text>
+      {flags && (
+        <>
+          <Text style={styles.debugText}>entranceComplete {String(flags.entranceComplete)}</Text>
+          <Text style={styles.debugText}>gameStarted {String(flags.gameStarted)}</Text>
+          <Text style={styles.debugText}>wordIndex {flags.wordIndex}/{flags.words}</Text>
+          <Text style={styles.debugText}>
+            hasLost {String(flags.hasLost)} · paused {String(flags.paused)} · gelatos {flags.gelatos}
+          </Text>
+        </>
+      )}
     </View>
   );
 }
@@ -382,6 +391,139 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     alignItems: 'center',
   },
+  heightContainer: {
+    position: 'absolute',
+    top: 50,
+    left: 50,
+  },
+  heightText: {
+    fontFamily: 'FinlandRounded',
+    fontSize: 24,
+    color: config.visuals.wordColor,
+    opacity: 0.5,
+  },
+  heightBestText: {
+    fontSize: 11,
+    color: config.visuals.wordColor,
+    opacity: 0.3,
+    letterSpacing: 1,
+  },
+  trailContainer: {
+    position: 'absolute',
+    top: 64,
+    left: 110,
+    right: 110,
+    alignItems: 'center',
+  },
+  trailText: {
+    fontFamily: 'FinlandRounded',
+    fontSize: 16,
+    color: config.visuals.wordColor,
+    opacity: 0.35,
+    textAlign: 'center',
+  },
+  trailDots: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    gap: 8,
+  },
+  trailDot: {
+    width: 6,
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: config.visuals.wordColor,
+    opacity: 0.15,
+  },
+  trailDotRevealed: {
+    opacity: 0.6,
+  },
+  lossRecapText: {
+    fontFamily: 'FinlandRounded',
+    fontSize: 22,
+    color: config.visuals.wordColor,
+    textAlign: 'center',
+    paddingHorizontal: 40,
+  },
+  lossRecapLostText: {
+    textDecorationLine: 'line-through', // Nested Text can't take its own opacity on native
+  },
+  comboContainer: {
+    position: 'absolute',
+    bottom: 50,
+    left: 50,
+  },
+  comboText: {
+    fontFamily: 'FinlandRounded',
+    fontSize: 24,
+    color: config.visuals.wordColor,
+    opacity: 0.5,
+  },
+  comboScoreText: {
+    fontSize: 11,
+    color: config.visuals.wordColor,
+    opacity: 0.3,
+    letterSpacing: 1,
+  },
+  comboPointsText: {
+    fontSize: 11,
+    color: config.visuals.wordColor,
+    letterSpacing: 1,
+    marginTop: 4,
+  },
+  debugContainer: {
+    position: 'absolute',
+    top: 110,
+    left: 50,
+    padding: 8,
+    borderRadius: 6,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+  },
+  debugText: {
+    fontSize: 11,
+    color: '#ffffff',
+    fontVariant: ['tabular-nums'],
+    lineHeight: 15,
+  },
+  recapContainer: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 40,
+  },
+  recapSentence: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    columnGap: 14,
+    maxWidth: 600,
+  },
+  recapWord: {
+    fontFamily: 'FinlandRounded',
+    fontSize: 44,
+    color: config.visuals.wordColor,
+  },
+  recapActions: {
+    flexDirection: 'row',
+    marginTop: 48,
+    gap: 24,
+  },
+  recapAction: {
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+    borderRadius: 999,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.3)',
+  },
+  recapActionText: {
+    fontSize: 14,
+    color: config.visuals.wordColor,
+    letterSpacing: 1,
+  },
   word: {
     fontFamily: 'FinlandRounded',
     fontSize: config.visuals.wordFontSize,
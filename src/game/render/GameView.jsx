@@ -0,0 +1,64 @@
+import React from 'react';
+import { StyleSheet, View, Pressable, Text } from 'react-native';
+import { GameRenderer } from './GameRenderer';
+
+/**
+ * GameView - Touch surface and renderer for a useGameSession game
+ * Children are drawn over the game (controls, labels); the pause overlay sits above everything
+ */
+export function GameView({ session, material = null, style, children }) {
+  const { dimensions, frame, overlays, currentPath, completion, paused, touchHandlers } = session;
+
+  return (
+    <View style={style} {...touchHandlers}>
+      <GameRenderer
+        width={dimensions.width}
+        height={dimensions.height}
+        frame={frame}
+        currentPath={currentPath}
+        currentMaterial={material}
+        {...overlays}
+        completion={completion}
+        onReplay={session.replay}
+        onKeepBouncing={session.keepBouncing}
+        readDebug={session.readDebug}
+      />
+
+      {children}
+
+      {/* Pause overlay - tap anywhere to carry on */}
+      {paused && (
+        <Pressable onPress={session.resume} style={styles.pauseOverlay}>
+          <Text style={styles.pauseText}>paused</Text>
+          <Text style={styles.pauseHint}>tap to resume</Text>
+        </Pressable>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  pauseOverlay: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: 'rgba(10, 10, 10, 0.7)',
+    zIndex: 3000,
+  },
+  pauseText: {
+    fontFamily: 'FinlandRounded',
+    fontSize: 44,
+    color: '#ffffff',
+  },
+  pauseHint: {
+    marginTop: 12,
+    fontSize: 14,
+    color: '#ffffff',
+    opacity: 0.5,
+    letterSpacing: 1,
+  },
+});
@@ -0,0 +1,90 @@
+import { Skia, PaintStyle, StrokeCap, StrokeJoin } from '@shopify/react-native-skia';
+
+/**
+ * Draw one frame-scene shape (see frameScene.js) - groups hold plain shapes only
+ */
+function drawShape(canvas, paint, shape) {
+  'worklet';
+  const color = Skia.Color(shape.color);
+  paint.setColor(color);
+  paint.setAlphaf(color[3] * (shape.opacity === undefined ? 1 : shape.opacity));
+
+  if (shape.stroke) {
+    paint.setStyle(PaintStyle.Stroke);
+    paint.setStrokeWidth(shape.stroke);
+    paint.setStrokeCap(shape.cap === 'round' ? StrokeCap.Round : StrokeCap.Butt);
+  } else {
+    paint.setStyle(PaintStyle.Fill);
+  }
+
+  switch (shape.type) {
+    case 'circle':
+      canvas.drawCircle(shape.x, shape.y, shape.r, paint);
+      break;
+    case 'rect':
+      canvas.save();
+      // Rotate about the center, like the old <Group origin> around platforms
+      canvas.rotate((shape.angle * 180) / Math.PI, shape.x + shape.width / 2, shape.y + shape.height / 2);
+      canvas.drawRect(Skia.XYWHRect(shape.x, shape.y, shape.width, shape.height), paint);
+      canvas.restore();
+      break;
+    case 'oval':
+      canvas.drawOval(Skia.XYWHRect(shape.x, shape.y, shape.width, shape.height), paint);
+      break;
+    case 'polyline': {
+      const path = Skia.Path.Make();
+      path.moveTo(shape.points[0], shape.points[1]);
+      for (let i = 2; i < shape.points.length; i += 2) {
+        path.lineTo(shape.points[i], shape.points[i + 1]);
+      }
+      canvas.drawPath(path, paint);
+      break;
+    }
+    case 'quad': {
+      const path = Skia.Path.Make();
+      path.moveTo(shape.x1, shape.y1);
+      path.quadTo(shape.cx, shape.cy, shape.x2, shape.y2);
+      canvas.drawPath(path, paint);
+      break;
+    }
+  }
+}
+
+/**
+ * Record a list of frame-scene shapes into a Skia picture, scaled to the viewport and scrolled by the camera
+ * Runs as a worklet so the Canvas can redraw from a shared value without React
+ *
+ * @param {Array} shapes - World-space shapes from buildFrameScene
+ * @param {number} cameraY - World Y at the top of the screen
+ * @param {number} scale - Screen pixels per world unit
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {SkPicture}
+ */
+export function recordScene(shapes, cameraY, scale, width, height) {
+  'worklet';
+  const recorder = Skia.PictureRecorder();
+  const canvas = recorder.beginRecording(Skia.XYWHRect(0, 0, width, height));
+  const paint = Skia.Paint();
+  paint.setAntiAlias(true);
+  paint.setStrokeJoin(StrokeJoin.Round);
+
+  canvas.scale(scale, scale);
+  canvas.translate(0, -cameraY);
+  for (let i = 0; i < shapes.length; i++) {
+    const shape = shapes[i];
+    if (shape.type === 'group') {
+      canvas.save();
+      canvas.translate(shape.x, shape.y);
+      canvas.scale(shape.scaleX, shape.scaleY);
+      for (let j = 0; j < shape.shapes.length; j++) {
+        drawShape(canvas, paint, shape.shapes[j]);
+      }
+      canvas.restore();
+    } else {
+      drawShape(canvas, paint, shape);
+    }
+  }
+
+  return recorder.finishRecordingAsPicture();
+}
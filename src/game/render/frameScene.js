@@ -0,0 +1,558 @@
+import { config } from '../../config';
+import { getMaterial } from '../core/materials';
+
+/**
+ * Frame scene - what the game looks like this frame, as plain data
+ *
+ * Built on the JS thread after each physics step and pushed to the renderer through a
+ * shared value, so per-frame motion (mascot, squash/stretch, Gelato wobble, fades) never
+ * goes through React. The Canvas draws it with recordScene (drawScene.js).
+ *
+ * Shapes are plain objects in world space:
+ * - { type: 'circle', x, y, r }
+ * - { type: 'rect', x, y, width, height, angle }        (x/y = top-left, angle in radians about the center)
+ * - { type: 'oval', x, y, width, height }
+ * - { type: 'polyline', points: [x0, y0, x1, y1, ...] }
+ * - { type: 'quad', x1, y1, cx, cy, x2, y2 }             (quadratic curve)
+ * - { type: 'group', x, y, scaleX, scaleY, shapes }     (children drawn around a local origin)
+ * Each with color, optional opacity, stroke (width - filled when missing) and cap ('round').
+ *
+ * React only re-renders for the overlays (readOverlays) - words, trail, counters - when
+ * overlayKey says something in them changed.
+ */
+
+/**
+ * Spacing (world units) between resampled points when bending a Gelato curve
+ */
+const GELATO_RESAMPLE_SPACING = 6;
+
+/**
+ * Arc-length distance along a path to the point closest to (x, y)
+ */
+function distanceAlongPath(points, x, y) {
+  let best = Infinity;
+  let bestDistance = 0;
+  let travelled = 0;
+
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const segmentLength = Math.sqrt(dx * dx + dy * dy);
+    if (segmentLength === 0) continue;
+
+    const t = Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / (segmentLength * segmentLength)));
+    const distSq = (a.x + dx * t - x) ** 2 + (a.y + dy * t - y) ** 2;
+    if (distSq < best) {
+      best = distSq;
+      bestDistance = travelled + segmentLength * t;
+    }
+    travelled += segmentLength;
+  }
+
+  return bestDistance;
+}
+
+/**
+ * Bend falloff along a curve: 0 at both ends, peaking at `peakDistance`
+ * Scaled so the peak matches the old quadratic-bezier bend (half the control offset)
+ */
+function bendProfile(distance, peakDistance, length) {
+  const peak = Math.max(1, Math.min(length - 1, peakDistance));
+  const u = distance < peak
+    ? 0.5 * (distance / peak)
+    : 0.5 + 0.5 * ((distance - peak) / (length - peak));
+  return 0.5 * Math.sin(Math.PI * Math.max(0, Math.min(1, u)));
+}
+
+/**
+ * Flat polyline along a Gelato's points
+ * When bendAt is given, the curve is resampled and each sample is pushed along
+ * the local normal by bendAt(distance along curve).
+ */
+function gelatoPolyline(points, bendAt) {
+  const polyline = [points[0].x, points[0].y];
+
+  if (!bendAt) {
+    for (let i = 1; i < points.length; i++) {
+      polyline.push(points[i].x, points[i].y);
+    }
+    return polyline;
+  }
+
+  let travelled = 0;
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const segmentLength = Math.sqrt(dx * dx + dy * dy);
+    if (segmentLength === 0) continue;
+
+    // Perpendicular direction of this segment (for bending)
+    const perpX = -dy / segmentLength;
+    const perpY = dx / segmentLength;
+
+    const samples = Math.max(1, Math.ceil(segmentLength / GELATO_RESAMPLE_SPACING));
+    for (let j = 1; j <= samples; j++) {
+      const t = j / samples;
+      const bend = bendAt(travelled + segmentLength * t);
+      polyline.push(a.x + dx * t + perpX * bend, a.y + dy * t + perpY * bend);
+    }
+    travelled += segmentLength;
+  }
+
+  return polyline;
+}
+
+/**
+ * One Gelato line with its own deformation state (pop-in wobble, bounce bend, fade)
+ */
+function gelatoShape(line, time) {
+  const { bounceImpact, createdAt } = line;
+  const material = getMaterial(line.material);
+  let opacity = 1;
+  let bendAt = null; // (distance along curve) => displacement along local normal
+
+  // Check if we should apply deformation or fade to this line
+  if (bounceImpact && bounceImpact.timestamp) {
+    const timeSinceBounce = time - bounceImpact.timestamp;
+    const deformConfig = config.gelato.deformation;
+    const fadeOutDuration = material.fadeOutDuration !== undefined ? material.fadeOutDuration : config.gelato.fadeOutDuration;
+
+    // Calculate fade out opacity (independent of deformation)
+    const fadeProgress = Math.min(timeSinceBounce / fadeOutDuration, 1);
+    opacity = 1 - fadeProgress;
+
+    // Apply deformation if still within deformation duration
+    if (timeSinceBounce < deformConfig.duration) {
+      // Calculate progress through the animation (0 to 1)
+      const progress = timeSinceBounce / deformConfig.duration;
+
+      // Apply oscillation with exponential decay (real spring physics)
+      // Each material wobbles at its own speed and size
+      const frequency = deformConfig.frequency * material.wobble * Math.PI * 2;
+      const dampingFactor = Math.exp(-deformConfig.damping * progress * 5); // Exponential decay
+      const oscillation = Math.sin(frequency * progress) * dampingFactor;
+
+      // Calculate bend amount with oscillation
+      const impactStrength = Math.min(bounceImpact.strength / 10, 1);
+      const bendAmount = deformConfig.maxBendAmount * material.bend * oscillation * impactStrength;
+
+      // Bend peaks where the ball hit and eases to zero at both ends
+      const impactDistance = distanceAlongPath(line.points, bounceImpact.x, bounceImpact.y);
+      bendAt = (distance) => bendAmount * bendProfile(distance, impactDistance, line.length);
+    }
+  }
+  // Check for creation animation (pop-in effect)
+  else if (createdAt) {
+    const timeSinceCreation = time - createdAt;
+    const creationConfig = config.gelato.creation;
+
+    if (timeSinceCreation < creationConfig.duration) {
+      // Calculate progress through creation animation
+      const progress = timeSinceCreation / creationConfig.duration;
+
+      // Apply oscillation from center with exponential decay
+      const frequency = creationConfig.frequency * Math.PI * 2;
+      const dampingFactor = Math.exp(-creationConfig.damping * progress * 5); // Exponential decay
+      const oscillation = Math.sin(frequency * progress) * dampingFactor;
+
+      // Bend amount for creation, centered on the curve
+      const bendAmount = creationConfig.maxBendAmount * oscillation;
+      bendAt = (distance) => bendAmount * bendProfile(distance, line.length / 2, line.length);
+    }
+  }
+
+  return {
+    type: 'polyline',
+    points: gelatoPolyline(line.points, bendAt),
+    color: material.color,
+    opacity,
+    stroke: config.gelato.thickness,
+  };
+}
+
+/**
+ * Level bodies always, walls only if visible in config
+ */
+function obstacleShape(obstacle) {
+  const x = obstacle.x - obstacle.width / 2;
+  const y = obstacle.y - obstacle.height / 2;
+
+  if (obstacle.type === 'bumper') {
+    return { type: 'circle', x: obstacle.x, y: obstacle.y, r: obstacle.radius, color: config.levels.bumper.color };
+  }
+  if (obstacle.type === 'platform') {
+    return { type: 'rect', x, y, width: obstacle.width, height: obstacle.height, angle: obstacle.angle, color: config.levels.platform.color };
+  }
+  if (config.walls.visible) {
+    return { type: 'rect', x, y, width: obstacle.width, height: obstacle.height, angle: 0, color: '#333' };
+  }
+  return null;
+}
+
+/**
+ * Eyes and mouth for the current mood, mouth moving while a word is spoken
+ * Drawn around the mascot's center (0, 0) so they squash and stretch with it
+ * mood: 'idle' | 'rising' | 'falling' | 'loss'
+ */
+function faceShapes(mood, speech, time) {
+  const face = config.visuals.face;
+  const radius = config.physics.mascot.radius;
+  const eyeY = face.eyeOffsetY * radius;
+  const eyeRadius = face.eyeRadius * radius;
+  const mouthY = face.mouthOffsetY * radius;
+  const mouthHalfWidth = (face.mouthWidth * radius) / 2;
+  const stroke = { color: 'white', stroke: 2, cap: 'round' };
+
+  // Quadratic curve from (x1, y) to (x2, y) bending by `depth` (positive = down, a smile)
+  const curve = (x1, x2, y, depth) => ({ type: 'quad', x1, y1: y, cx: (x1 + x2) / 2, cy: y + depth * 2, x2, y2: y, ...stroke });
+
+  const shapes = [];
+  [-1, 1].forEach(side => {
+    const eyeX = side * face.eyeSpacing * radius;
+
+    if (mood === 'loss') {
+      // X eyes
+      shapes.push(
+        { type: 'polyline', points: [eyeX - eyeRadius, eyeY - eyeRadius, eyeX + eyeRadius, eyeY + eyeRadius], ...stroke },
+        { type: 'polyline', points: [eyeX + eyeRadius, eyeY - eyeRadius, eyeX - eyeRadius, eyeY + eyeRadius], ...stroke },
+      );
+    } else if (mood === 'rising') {
+      // Happy ^ ^ eyes
+      shapes.push(curve(eyeX - eyeRadius * 1.3, eyeX + eyeRadius * 1.3, eyeY, -eyeRadius));
+    } else if (mood === 'idle' && time % face.blinkEveryMs < face.blinkMs) {
+      // Blink
+      shapes.push(curve(eyeX - eyeRadius, eyeX + eyeRadius, eyeY, 0));
+    } else {
+      // Open eyes - wider while falling
+      shapes.push({ type: 'circle', x: eyeX, y: eyeY, r: mood === 'falling' ? eyeRadius * 1.4 : eyeRadius, color: 'white' });
+    }
+  });
+
+  if (speech && speech.isPlaying) {
+    // Talking - open and close at roughly syllable rate, closing as the word ends
+    const cycle = Math.abs(Math.sin((speech.positionMs / 1000) * Math.PI * face.talkRate));
+    const remaining = speech.durationMs ? Math.min(1, (speech.durationMs - speech.positionMs) / 150) : 1;
+    const openHeight = mouthHalfWidth * (0.3 + 0.9 * cycle) * Math.max(0, remaining);
+    shapes.push({
+      type: 'oval',
+      x: -mouthHalfWidth * 0.7,
+      y: mouthY - openHeight / 2,
+      width: mouthHalfWidth * 1.4,
+      height: Math.max(2, openHeight),
+      color: 'white',
+    });
+  } else if (mood === 'falling') {
+    // Surprised "o"
+    shapes.push({ type: 'circle', x: 0, y: mouthY, r: mouthHalfWidth * 0.35, ...stroke });
+  } else {
+    // Smile (bigger when rising), frown after a fall
+    const depth = { idle: 0.25, rising: 0.5, loss: -0.3 }[mood] * mouthHalfWidth;
+    shapes.push(curve(-mouthHalfWidth, mouthHalfWidth, mouthY, depth));
+  }
+
+  return shapes;
+}
+
+/**
+ * Mascot - circle with a face, squash and stretch around its center
+ */
+function mascotShape(x, y, squashStretch, mood, speech, time) {
+  const shapes = [{ type: 'circle', x: 0, y: 0, r: config.physics.mascot.radius, color: 'white', stroke: 2 }];
+  if (config.visuals.face.enabled) {
+    shapes.push(...faceShapes(mood, speech, time));
+  }
+
+  return { type: 'group', x, y, scaleX: squashStretch.scaleX, scaleY: squashStretch.scaleY, shapes };
+}
+
+/**
+ * Celebration rings expanding from the mascot when the message completes
+ */
+function celebrationShapes(completion, mascot, time) {
+  const { ringCount, celebrationMs } = config.completion;
+  const shapes = [];
+
+  for (let index = 0; index < ringCount; index++) {
+    const ringDelay = index * (celebrationMs / (ringCount * 2));
+    const progress = (time - completion.timestamp - ringDelay) / celebrationMs;
+    if (progress <= 0 || progress >= 1) continue;
+
+    const easedProgress = 1 - Math.pow(1 - progress, 3);
+    shapes.push({
+      type: 'circle',
+      x: mascot.x,
+      y: mascot.y,
+      r: config.physics.mascot.radius * (1 + easedProgress * 4),
+      color: 'white',
+      opacity: 0.6 * (1 - progress),
+      stroke: 2,
+    });
+  }
+
+  return shapes;
+}
+
+/**
+ * Revealed word's opacity and vertical offset for its configured fade mode
+ */
+function wordMotion(currentWord, mascotVelocityY, time) {
+  let opacity = 0;
+  let offsetY = 0;
+  if (!currentWord) {
+    return { opacity, offsetY };
+  }
+
+  if (config.visuals.wordFadeMode === 'velocity') {
+    // Velocity-based fade: opacity synced 1:1 with ball motion
+    if (currentWord.initialVelocityY !== undefined) {
+      // At bounce: initialVelocityY is negative (upward)
+      // As ball falls: velocityY increases toward positive (downward)
+      // Fade from 100% to 0% as velocity goes from initial (negative) to 0 (peak) to positive
+      const velocityRange = Math.abs(currentWord.initialVelocityY);
+      const velocityChange = mascotVelocityY - currentWord.initialVelocityY;
+
+      // Normalize velocity change: 0 at bounce, 1 when velocity reverses completely
+      const fadeProgress = Math.min(1, Math.max(0, velocityChange / (velocityRange * 2)));
+      opacity = 1 - fadeProgress;
+    }
+  } else if (config.visuals.wordFadeMode === 'static') {
+    // Static/time-based fade: three-phase animation (fade-in, persist, fade-out)
+    const timeSinceReveal = time - currentWord.timestamp;
+    const fadeInDuration = config.visuals.wordFadeInMs;
+    const persistDuration = config.visuals.wordPersistMs;
+    const fadeOutDuration = config.visuals.wordFadeOutMs;
+
+    if (timeSinceReveal < fadeInDuration) {
+      // Phase 1: Fade in from 0% → 100%
+      opacity = timeSinceReveal / fadeInDuration;
+    } else if (timeSinceReveal < fadeInDuration + persistDuration) {
+      // Phase 2: Stay at 100%
+      opacity = 1;
+    } else if (timeSinceReveal < fadeInDuration + persistDuration + fadeOutDuration) {
+      // Phase 3: Fade out from 100% → 0%
+      const fadeOutProgress = (timeSinceReveal - fadeInDuration - persistDuration) / fadeOutDuration;
+      opacity = 1 - fadeOutProgress;
+    }
+  }
+
+  // Vertical offset - DIRECT 1:1 mapping with velocity
+  // Negative velocity (up) = negative offset (up), positive velocity (down) = positive offset (down)
+  if (currentWord.initialVelocityY !== undefined) {
+    const maxOffset = 50; // Maximum offset in either direction (world units)
+    const velocityRange = Math.abs(currentWord.initialVelocityY);
+    const normalizedVelocity = Math.max(-1, Math.min(1, mascotVelocityY / velocityRange));
+    offsetY = normalizedVelocity * maxOffset;
+  }
+
+  return { opacity, offsetY };
+}
+
+/**
+ * Frame before the first step (nothing drawn yet)
+ */
+export function createEmptyFrame() {
+  return {
+    cameraY: 0,
+    scale: 1,
+    below: [],
+    above: [],
+    debug: [],
+    word: { opacity: 0, offsetY: 0 },
+    lossRecapOpacity: 0,
+    comboPopupOpacity: 0,
+  };
+}
+
+/**
+ * Outline colors for the physics debug overlay, by body label
+ */
+const DEBUG_COLORS = {
+  mascot: '#7CFC00',
+  gelato: '#00E5FF',
+  wall: '#FF5252',
+  bumper: '#FFD166',
+  platform: '#FFD166',
+  renderedLine: '#FF4FD8',
+  velocity: '#7CFC00',
+  normal: '#FFFFFF',
+};
+
+/**
+ * Physics debug overlay (config.debug) - collision outlines, each Gelato's drawn line over
+ * its collision parts, the mascot's velocity and recent bounce normals
+ */
+function debugShapes(gameCore, bounceNormals) {
+  const { lineWidth, velocityScale, normalLength } = config.debug;
+  const shapes = [];
+
+  // Every collision part, walls included - closed by repeating the first vertex
+  gameCore.getDebugBodies().forEach(({ label, vertices }) => {
+    const points = [];
+    [...vertices, vertices[0]].forEach(({ x, y }) => points.push(x, y));
+    shapes.push({ type: 'polyline', points, color: DEBUG_COLORS[label] || '#FFFFFF', stroke: lineWidth });
+  });
+
+  // The line the player sees, to compare against the rectangles it collides as
+  gameCore.getGelatos().forEach(({ points }) => {
+    shapes.push({
+      type: 'polyline',
+      points: points.flatMap(({ x, y }) => [x, y]),
+      color: DEBUG_COLORS.renderedLine,
+      stroke: lineWidth,
+      cap: 'round',
+    });
+  });
+
+  const mascot = gameCore.getMascotPosition();
+  const velocity = gameCore.getMascotVelocity();
+  const tipX = mascot.x + velocity.x * velocityScale;
+  const tipY = mascot.y + velocity.y * velocityScale;
+  shapes.push(
+    { type: 'polyline', points: [mascot.x, mascot.y, tipX, tipY], color: DEBUG_COLORS.velocity, stroke: lineWidth * 2, cap: 'round' },
+    { type: 'circle', x: tipX, y: tipY, r: lineWidth * 2.5, color: DEBUG_COLORS.velocity }
+  );
+
+  bounceNormals.forEach(({ x, y, normal, age }) => {
+    const opacity = 1 - age;
+    shapes.push(
+      {
+        type: 'polyline',
+        points: [x, y, x + normal.x * normalLength, y + normal.y * normalLength],
+        color: DEBUG_COLORS.normal,
+        opacity,
+        stroke: lineWidth * 2,
+        cap: 'round',
+      },
+      { type: 'circle', x, y, r: lineWidth * 3, color: DEBUG_COLORS.normal, opacity }
+    );
+  });
+
+  return shapes;
+}
+
+/**
+ * Build this frame's scene from the game's current state
+ * @param {GameCore} gameCore
+ * @param {Object} extras
+ * @param {Object|null} extras.speech - Word audio playback status (drives the mouth)
+ * @param {Array|null} extras.trajectory - Predicted arc for the stroke being drawn (assist mode)
+ * @param {Array} extras.particles - Live particles (see attachParticleEffects)
+ * @param {boolean} extras.debug - Draw the physics debug overlay
+ * @param {Array} extras.bounceNormals - Recent bounces for the debug overlay (see attachDebugEffects)
+ * @returns {Object} { cameraY, scale, below, above, debug, word, lossRecapOpacity, comboPopupOpacity }
+ *   scale - screen pixels per world unit (see config.world)
+ *   below - drawn under the stroke preview (no-draw zones, obstacles, Gelatos)
+ *   above - drawn over it (trajectory dots, particles, mascot, celebration)
+ *   debug - physics overlay on top of everything, empty unless extras.debug
+ */
+export function buildFrameScene(gameCore, { speech = null, trajectory = null, particles = [], debug = false, bounceNormals = [] } = {}) {
+  const time = gameCore.getTime();
+  const mascot = gameCore.getMascotPosition();
+  const mood = gameCore.getMascotMood();
+  const squashStretch = gameCore.getSquashStretch();
+  const mascotVelocityY = gameCore.getMascotVelocityY();
+  const completion = gameCore.getCompletion();
+
+  const below = [
+    ...gameCore.getNoDrawZones().map(zone => ({
+      type: 'rect',
+      x: zone.x - zone.width / 2,
+      y: zone.y - zone.height / 2,
+      width: zone.width,
+      height: zone.height,
+      angle: 0,
+      color: config.levels.noDrawZoneColor,
+    })),
+    ...gameCore.getObstacles().map(obstacleShape).filter(Boolean),
+    ...gameCore.getGelatos().map(line => gelatoShape(line, time)),
+  ];
+
+  const above = [];
+
+  // Predicted arc for the Gelato being drawn - fades toward the end
+  if (trajectory) {
+    trajectory.forEach((point, index) => {
+      above.push({
+        type: 'circle',
+        x: point.x,
+        y: point.y,
+        r: config.assist.trajectory.dotRadius,
+        color: config.assist.trajectory.color,
+        opacity: 0.6 * (1 - index / trajectory.length),
+      });
+    });
+  }
+
+  // Bounce sparks, wall puffs and dissolve bursts
+  if (config.visuals.particles.enabled) {
+    particles.forEach(particle => {
+      above.push({ type: 'circle', x: particle.x, y: particle.y, r: particle.radius, color: particle.color, opacity: particle.opacity });
+    });
+  }
+
+  above.push(mascotShape(mascot.x, mascot.y, squashStretch, mood, speech, time));
+
+  if (completion) {
+    above.push(...celebrationShapes(completion, mascot, time));
+  }
+
+  // Ghost copy at the opposite edge while wrapping across (wrap wall mode)
+  const wrapGhost = gameCore.getWrapGhost();
+  if (wrapGhost) {
+    above.push(mascotShape(wrapGhost.x, wrapGhost.y, squashStretch, mood, speech, time));
+  }
+
+  // Overlay fades (the overlays themselves are React views, see readOverlays)
+  const lossRecap = gameCore.getLossRecap();
+  const lossRecapProgress = lossRecap ? Math.min(1, Math.max(0, (time - lossRecap.timestamp) / config.loss.recapMs)) : 1;
+  const { lastPoints } = gameCore.getCombo();
+  const popupAge = lastPoints ? time - lastPoints.timestamp : Infinity;
+
+  return {
+    cameraY: gameCore.getCameraY(),
+    scale: gameCore.getViewScale(),
+    below,
+    above,
+    debug: debug ? debugShapes(gameCore, bounceNormals) : [],
+    word: wordMotion(gameCore.getCurrentWord(), mascotVelocityY, time),
+    // Quick fade in, hold, fade out over the last third
+    lossRecapOpacity: Math.min(1, lossRecapProgress * 6, (1 - lossRecapProgress) * 3),
+    comboPopupOpacity: Math.max(0, 1 - popupAge / config.combo.pointsPopupMs),
+  };
+}
+
+/**
+ * State behind the React overlays (word, sentence trail, loss recap, counters)
+ */
+export function readOverlays(gameCore) {
+  return {
+    currentWord: gameCore.getCurrentWord(),
+    messageProgress: gameCore.getMessageProgress(),
+    lossRecap: gameCore.getLossRecap(),
+    combo: gameCore.getCombo(),
+    heightStats: gameCore.getHeightStats(),
+  };
+}
+
+/**
+ * Summary of the overlays that changes only when what they show changes
+ * (per-frame fades travel in the frame scene instead)
+ */
+export function overlayKey({ currentWord, messageProgress, lossRecap, combo, heightStats }) {
+  return [
+    currentWord ? currentWord.timestamp : '',
+    messageProgress.words.join(' '),
+    messageProgress.revealed,
+    lossRecap ? lossRecap.timestamp : '',
+    combo.count,
+    combo.score,
+    combo.lastPoints ? combo.lastPoints.timestamp : '',
+    Math.floor(heightStats.current),
+    Math.floor(heightStats.best),
+    heightStats.max > 0,
+  ].join('|');
+}
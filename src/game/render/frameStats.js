@@ -0,0 +1,100 @@
+import { config } from '../../config';
+
+/**
+ * Frame timing counters for the game loop (settings in config.performance)
+ *
+ * The loop calls beginFrame/endFrame around each frame's work and countRender from the
+ * component body, so the summary shows how often React re-renders next to the frame rate.
+ * With logFrameStats on, a summary is logged every statsIntervalMs.
+ *
+ * @returns {{ beginFrame: Function, endFrame: Function, recordStep: Function, countRender: Function,
+ *   getSummary: Function, getLive: Function }}
+ *   beginFrame(now) - Start of a frame (rAF timestamp)
+ *   endFrame() - Frame's JS work is done
+ *   recordStep(ms) - Time the physics step took this frame
+ *   countRender() - The game component rendered
+ *   getSummary() - { fps, avgFrameMs, avgWorkMs, maxWorkMs, droppedFrames, renders } since the last log
+ *   getLive() - { fps, stepMs } smoothed over the last few frames (debug overlay)
+ */
+export function createFrameStats() {
+  let frames = 0;
+  let intervals = 0;
+  let renders = 0;
+  let droppedFrames = 0;
+  let totalFrameMs = 0;
+  let totalWorkMs = 0;
+  let maxWorkMs = 0;
+  let lastFrameAt = null;
+  let frameStartedAt = 0;
+  let windowStartedAt = performance.now();
+  // Exponential moving averages for the live readout - never reset
+  let liveFrameMs = 0;
+  let liveStepMs = 0;
+  const smooth = (average, value) => (average === 0 ? value : average + (value - average) * 0.1);
+
+  const getSummary = () => {
+    const avgFrameMs = intervals > 0 ? totalFrameMs / intervals : 0;
+    return {
+      fps: avgFrameMs > 0 ? 1000 / avgFrameMs : 0,
+      avgFrameMs,
+      avgWorkMs: frames > 0 ? totalWorkMs / frames : 0,
+      maxWorkMs,
+      droppedFrames,
+      renders,
+    };
+  };
+
+  const reset = () => {
+    frames = 0;
+    intervals = 0;
+    renders = 0;
+    droppedFrames = 0;
+    totalFrameMs = 0;
+    totalWorkMs = 0;
+    maxWorkMs = 0;
+    windowStartedAt = performance.now();
+  };
+
+  const beginFrame = (now) => {
+    const { targetFrameMs } = config.performance;
+
+    if (lastFrameAt !== null) {
+      const frameMs = now - lastFrameAt;
+      liveFrameMs = smooth(liveFrameMs, frameMs);
+      totalFrameMs += frameMs;
+      intervals++;
+      // A gap of one and a half frames or more means at least one frame was missed
+      if (frameMs > targetFrameMs * 1.5) {
+        droppedFrames += Math.round(frameMs / targetFrameMs) - 1;
+      }
+    }
+    lastFrameAt = now;
+    frameStartedAt = performance.now();
+    frames++;
+  };
+
+  const endFrame = () => {
+    const workMs = performance.now() - frameStartedAt;
+    totalWorkMs += workMs;
+    maxWorkMs = Math.max(maxWorkMs, workMs);
+
+    if (config.performance.logFrameStats && performance.now() - windowStartedAt >= config.performance.statsIntervalMs) {
+      const summary = getSummary();
+      console.log(
+        `⏱ ${summary.fps.toFixed(1)} fps, frame ${summary.avgFrameMs.toFixed(1)}ms, ` +
+        `work ${summary.avgWorkMs.toFixed(2)}ms (max ${summary.maxWorkMs.toFixed(2)}ms), ` +
+        `${summary.droppedFrames} dropped, ${summary.renders} renders`
+      );
+      reset();
+    }
+  };
+
+  return {
+    beginFrame,
+    endFrame,
+    recordStep: (ms) => { liveStepMs = smooth(liveStepMs, ms); },
+    countRender: () => { renders++; },
+    getSummary,
+    getLive: () => ({ fps: liveFrameMs > 0 ? 1000 / liveFrameMs : 0, stepMs: liveStepMs }),
+  };
+}
@@ -0,0 +1,396 @@
+import { useState, useEffect, useRef } from 'react';
+import { Dimensions, AppState, Platform } from 'react-native';
+import { useSharedValue } from 'react-native-reanimated';
+import { GameCore } from '../core/GameCore';
+import { trimPathStart } from '../core/pathGeometry';
+import { viewportScale } from '../core/viewport';
+import { config } from '../../config';
+import { playSound } from '../../utils/audio';
+import { getWordPlaybackStatus } from '../../services/audioPlayer';
+import { loadValue, saveValue } from '../../services/localStore';
+import { subscribeConfig } from '../../services/configStore';
+import { attachAudioEffects } from '../effects/audioEffects';
+import { attachHapticEffects } from '../effects/hapticEffects';
+import { attachParticleEffects } from '../effects/particleEffects';
+import { attachDebugEffects } from '../effects/debugEffects';
+import { buildFrameScene, createEmptyFrame, readOverlays, overlayKey } from './frameScene';
+import { createFrameStats } from './frameStats';
+
+const EMPTY_OVERLAYS = { currentWord: null, messageProgress: null, lossRecap: null, combo: null, heightStats: null };
+
+/**
+ * useGameSession - One running game, shared by every screen that embeds it (see GameView)
+ *
+ * Owns the GameCore (created per message, destroyed on unmount), the frame loop, drawing
+ * input, resize, and pausing while the app is backgrounded or the tab hidden.
+ *
+ * @param {Object} options
+ * @param {string|null} options.message - Message to play (null = fetch the live message)
+ * @param {boolean} options.muted - No sound effects, narration or haptics (can change mid-game)
+ * @param {boolean} options.running - Run the frame loop (false while the game is hidden, e.g. behind the admin portal)
+ * @param {string} options.material - Material for the next Gelato drawn
+ * @param {boolean} options.trajectoryAssist - Predict the arc while drawing
+ * @param {boolean} options.persistBestHeight - Restore and save the all-time best height
+ * @param {Function} options.onStart - Called with each new GameCore; may return a cleanup function
+ * @returns {Object} { gameCore (ref), dimensions, frame, overlays, currentPath, completion, paused,
+ *   touchHandlers, replay, keepBouncing, resume, restart, readDebug }
+ *   restart - Throw the current game away and start a fresh one (reloads the live message when message is null)
+ *   readDebug - null unless the physics debug overlay is on; then returns { fps, stepMs, flags }
+ */
+export function useGameSession({
+  message = null,
+  muted = false,
+  running = true,
+  material = config.gelato.defaultMaterial,
+  trajectoryAssist = false,
+  persistBestHeight = false,
+  onStart = null,
+} = {}) {
+  // Responsive dimensions - updates on window resize
+  const [dimensions, setDimensions] = useState(() => {
+    const { width, height } = Dimensions.get('window');
+    return { width, height };
+  });
+  const latestDimensions = useRef(dimensions);
+  const gameCore = useRef(null);
+  const [, forceUpdate] = useState(0);
+
+  // Per-frame scene (mascot, Gelatos, particles...) - drawn from the UI side, never re-renders React
+  const frame = useSharedValue(createEmptyFrame());
+  // Word, sentence trail, counters - re-render only when these change
+  const overlays = useRef(EMPTY_OVERLAYS);
+  const overlaysKey = useRef('');
+  const assistStroke = useRef(null); // { points, material } of the stroke being drawn, while trajectory assist is on
+  const assistPrediction = useRef(null); // { stroke, x, y, at, trajectory } - last predicted arc (config.assist.trajectory)
+  const particleEffects = useRef(null); // Particle emitters attached to the game
+  const debugEffects = useRef(null); // Recent bounce normals for the debug overlay
+  const showDebug = useRef(false); // Physics debug overlay on - session-only, never saved with the tuning config
+  const debugGesture = useRef(false); // Three-finger tap already toggled the debug overlay this touch
+  const savedBestHeight = useRef(0); // Last best height written to storage
+  const frameStats = useRef(createFrameStats()); // Frame timing and render counts (config.performance)
+  frameStats.current.countRender();
+
+  // Latest options for the long-lived effects
+  const options = useRef(null);
+  options.current = { onStart, persistBestHeight };
+
+  // Bumped by restart() - a fresh GameCore for the same message
+  const [generation, setGeneration] = useState(0);
+
+  // Simple line drawing state
+  const [currentPath, setCurrentPath] = useState(null); // Array of {x, y} points
+
+  // Message completion recap ({ message, timestamp } while showing)
+  const [completion, setCompletion] = useState(null);
+
+  // Paused while the app is backgrounded or the tab is hidden - resumes on tap
+  const [paused, setPaused] = useState(false);
+
+  // Start a game for this message
+  useEffect(() => {
+    const { width, height } = latestDimensions.current;
+    const core = new GameCore(width, height, message);
+    gameCore.current = core;
+
+    const detachers = [];
+    particleEffects.current = attachParticleEffects(core);
+    detachers.push(particleEffects.current.detach);
+    debugEffects.current = attachDebugEffects(core);
+    detachers.push(debugEffects.current.detach);
+
+    // Show the recap when the last word of the message is revealed
+    setCompletion(null);
+    setCurrentPath(null);
+    assistStroke.current = null;
+    setPaused(false);
+    core.on('messageComplete', () => {
+      setCompletion(core.getCompletion());
+    });
+
+    // Restore all-time best height
+    if (options.current.persistBestHeight) {
+      loadValue('bestHeight', 0).then(best => {
+        savedBestHeight.current = best;
+        core.setBestHeight(best);
+      });
+    }
+
+    const cleanup = options.current.onStart?.(core);
+
+    return () => {
+      if (typeof cleanup === 'function') cleanup();
+      detachers.forEach(detach => detach());
+      core.destroy();
+      overlays.current = EMPTY_OVERLAYS;
+      overlaysKey.current = '';
+    };
+  }, [message, generation]);
+
+  // Sound effects, word narration and haptics - re-attached when muted changes
+  useEffect(() => {
+    if (muted) return;
+
+    const detachers = [attachAudioEffects(gameCore.current), attachHapticEffects(gameCore.current)];
+    return () => detachers.forEach(detach => detach());
+  }, [muted, message, generation]);
+
+  // Predicted arc for the stroke being drawn - each prediction runs a throwaway physics world, so
+  // it's redone only when the stroke changed or the mascot moved, and at most every recomputeMs
+  const predictAssistArc = (now) => {
+    const stroke = assistStroke.current;
+    if (!stroke) {
+      assistPrediction.current = null;
+      return null;
+    }
+
+    const { recomputeMs, recomputeDistance } = config.assist.trajectory;
+    const mascot = gameCore.current.getMascotPosition();
+    const last = assistPrediction.current;
+    if (last) {
+      const moved = Math.hypot(mascot.x - last.x, mascot.y - last.y) > recomputeDistance;
+      if ((last.stroke === stroke && !moved) || now - last.at < recomputeMs) {
+        return last.trajectory;
+      }
+    }
+
+    const trajectory = gameCore.current.predictTrajectory(
+      stroke.points.map(point => gameCore.current.screenToWorld(point)),
+      stroke.material
+    );
+    assistPrediction.current = { stroke, x: mascot.x, y: mascot.y, at: now, trajectory };
+    return trajectory;
+  };
+
+  // Advance the game one frame and publish it - React only re-renders when an overlay changes
+  const updateFrame = (currentTime, deltaTime) => {
+    frameStats.current.beginFrame(currentTime);
+
+    // Update physics simulation (GameCore consumes this in fixed steps)
+    const stepStartedAt = performance.now();
+    gameCore.current.step(deltaTime);
+    frameStats.current.recordStep(performance.now() - stepStartedAt);
+
+    // Predicted arc for the stroke being drawn (assist mode)
+    const trajectory = predictAssistArc(currentTime);
+
+    frame.value = buildFrameScene(gameCore.current, {
+      speech: getWordPlaybackStatus(),
+      trajectory,
+      particles: particleEffects.current.getParticles(),
+      debug: showDebug.current,
+      bounceNormals: debugEffects.current.getBounceNormals(),
+    });
+
+    const nextOverlays = readOverlays(gameCore.current);
+    const nextKey = overlayKey(nextOverlays);
+    if (nextKey !== overlaysKey.current) {
+      overlays.current = nextOverlays;
+      overlaysKey.current = nextKey;
+      forceUpdate(n => n + 1);
+    }
+
+    // Persist a new best height (once per whole unit gained)
+    const { best } = nextOverlays.heightStats;
+    if (options.current.persistBestHeight && Math.floor(best) > Math.floor(savedBestHeight.current)) {
+      savedBestHeight.current = best;
+      saveValue('bestHeight', best);
+    }
+
+    frameStats.current.endFrame();
+  };
+
+  // Frame loop - stopped while not running (the simulation waits where it was)
+  useEffect(() => {
+    if (!running) return;
+
+    let animationFrameId;
+    let lastTime = performance.now();
+
+    const animate = (currentTime) => {
+      const deltaTime = currentTime - lastTime;
+      lastTime = currentTime;
+
+      updateFrame(currentTime, deltaTime);
+
+      // Continue animation loop
+      animationFrameId = requestAnimationFrame(animate);
+    };
+
+    animationFrameId = requestAnimationFrame(animate);
+    return () => cancelAnimationFrame(animationFrameId);
+  }, [running, message, generation]);
+
+  // Re-apply live config edits (tuning panel) to the running game
+  useEffect(() => {
+    return subscribeConfig(() => {
+      gameCore.current?.applyConfig();
+      forceUpdate(n => n + 1); // Overlays read config while rendering
+    });
+  }, []);
+
+  // Pause when the app goes to the background (native) or the tab is hidden (web)
+  useEffect(() => {
+    const pauseGame = () => {
+      if (gameCore.current && !gameCore.current.isPaused()) {
+        gameCore.current.pause();
+        assistStroke.current = null;
+        setCurrentPath(null);
+        setPaused(true);
+      }
+    };
+
+    const appStateSubscription = AppState.addEventListener('change', (state) => {
+      if (state !== 'active') pauseGame();
+    });
+
+    const handleVisibilityChange = () => {
+      if (document.hidden) pauseGame();
+    };
+    if (Platform.OS === 'web') {
+      document.addEventListener('visibilitychange', handleVisibilityChange);
+    }
+
+    return () => {
+      appStateSubscription.remove();
+      if (Platform.OS === 'web') {
+        document.removeEventListener('visibilitychange', handleVisibilityChange);
+      }
+    };
+  }, []);
+
+  // Show or hide the physics debug overlay (config.debug)
+  const toggleDebugOverlay = () => {
+    showDebug.current = !showDebug.current;
+    forceUpdate(n => n + 1);
+  };
+
+  // Physics debug overlay shortcut on web - the backtick key
+  useEffect(() => {
+    if (Platform.OS !== 'web') return;
+
+    const handleKeyDown = (event) => {
+      if (event.key === '`' && !event.repeat) toggleDebugOverlay();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // Handle window resize - update boundaries without resetting game
+  useEffect(() => {
+    const subscription = Dimensions.addEventListener('change', ({ window }) => {
+      const newDimensions = { width: window.width, height: window.height };
+      latestDimensions.current = newDimensions;
+      setDimensions(newDimensions);
+
+      // Update boundaries live without destroying game
+      gameCore.current?.updateBoundaries(newDimensions.width, newDimensions.height);
+    });
+
+    return () => subscription?.remove();
+  }, []);
+
+  // Three-finger tap toggles the physics debug overlay (once per touch) and drops the stroke
+  // Checked on every touch event - extra fingers arrive via onResponderStart, and a still tap never moves
+  const handleDebugGesture = (event) => {
+    if (!(event.nativeEvent.touches?.length >= 3)) return false;
+
+    if (!debugGesture.current) {
+      debugGesture.current = true;
+      toggleDebugOverlay();
+    }
+    assistStroke.current = null;
+    setCurrentPath(null);
+    return true;
+  };
+
+  // Touch handlers for drawing lines
+  const handleTouchStart = (event) => {
+    if (handleDebugGesture(event)) return;
+
+    // No drawing while the completion recap is up
+    if (completion) return;
+
+    const touch = event.nativeEvent.touches?.[0] || event.nativeEvent;
+    setCurrentPath([{ x: touch.pageX, y: touch.pageY }]);
+  };
+
+  const handleTouchMove = (event) => {
+    if (handleDebugGesture(event)) return;
+    if (!currentPath) return;
+    const touch = event.nativeEvent.touches?.[0] || event.nativeEvent;
+
+    // Add current point to path, trimming the start past max length (sliding start, touches are screen pixels)
+    const maxLength = config.gelato.maxLength * viewportScale(dimensions.width, dimensions.height);
+    const trimmedPath = trimPathStart([...currentPath, { x: touch.pageX, y: touch.pageY }], maxLength);
+
+    setCurrentPath(trimmedPath);
+    assistStroke.current = trajectoryAssist ? { points: trimmedPath, material } : null;
+  };
+
+  const handleTouchEnd = () => {
+    assistStroke.current = null;
+    debugGesture.current = false;
+
+    if (currentPath && currentPath.length >= 2 && gameCore.current) {
+      // Create a curved Gelato that follows the drawn path (touches are screen-space)
+      const worldPath = currentPath.map(point => gameCore.current.screenToWorld(point));
+      gameCore.current.createGelato(worldPath, material);
+
+      setCurrentPath(null);
+    }
+  };
+
+  // Button clicks - silent when muted like the rest of the game's sound
+  const click = () => {
+    if (!muted) playSound('click');
+  };
+
+  // Completion recap choices
+  const replay = () => {
+    click();
+    gameCore.current.replayMessage();
+    setCompletion(null);
+  };
+
+  const keepBouncing = () => {
+    click();
+    gameCore.current.keepBouncing();
+    setCompletion(null);
+  };
+
+  // Live numbers for the debug readout (polled by the renderer while the overlay is on)
+  const readDebug = () => ({
+    ...frameStats.current.getLive(),
+    flags: gameCore.current ? gameCore.current.getDebugFlags() : null,
+  });
+
+  const resume = () => {
+    click();
+    gameCore.current.resume();
+    setPaused(false);
+  };
+
+  const restart = () => setGeneration(n => n + 1);
+
+  return {
+    gameCore,
+    dimensions,
+    frame,
+    overlays: overlays.current,
+    currentPath,
+    completion,
+    paused,
+    touchHandlers: {
+      onStartShouldSetResponder: () => true,
+      onResponderGrant: handleTouchStart,
+      onResponderStart: handleDebugGesture, // Each further finger while drawing
+      onResponderMove: handleTouchMove,
+      onResponderRelease: handleTouchEnd,
+    },
+    replay,
+    keepBouncing,
+    resume,
+    restart,
+    readDebug: showDebug.current ? readDebug : null,
+  };
+}
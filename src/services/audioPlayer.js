@@ -13,6 +13,9 @@ const audioCache = new Map(); // word -> Sound object
 // Current message's audio URLs
 let currentMessageAudioUrls = new Map(); // word -> URL
 
+// Word currently being spoken (drives the mascot's mouth)
+let playback = null; // { word, startedAt, durationMs } while playing
+
 /**
  * Preload audio files for a message
  * Downloads and decodes all word audio for the given message
@@ -96,19 +99,60 @@ export async function playWordAudio(word) {
   try {
     // Reset to beginning and play
     await sound.setPositionAsync(0);
+
+    // Track playback until this sound finishes (or another word takes over)
+    const current = { word: normalizedWord, startedAt: Date.now(), durationMs: null };
+    playback = current;
+    sound.setOnPlaybackStatusUpdate((status) => {
+      if (playback !== current) return;
+      if (status.isLoaded && status.durationMillis) {
+        current.durationMs = status.durationMillis;
+      }
+      if (!status.isLoaded || status.didJustFinish) {
+        playback = null;
+      }
+    });
+
     await sound.playAsync();
     console.log(`🔊 Playing audio for: "${normalizedWord}"`);
     return true;
   } catch (error) {
     console.error(`Failed to play audio for "${normalizedWord}":`, error);
+    playback = null;
     return false;
   }
 }
 
+/**
+ * Get the status of the word currently being spoken
+ * @returns {{isPlaying: boolean, word: string|null, positionMs: number, durationMs: number|null}}
+ */
+export function getWordPlaybackStatus() {
+  if (!playback) {
+    return { isPlaying: false, word: null, positionMs: 0, durationMs: null };
+  }
+
+  const positionMs = Date.now() - playback.startedAt;
+
+  // Missed finish callback - treat as done once past the known duration
+  if (playback.durationMs !== null && positionMs > playback.durationMs) {
+    playback = null;
+    return { isPlaying: false, word: null, positionMs: 0, durationMs: null };
+  }
+
+  return {
+    isPlaying: true,
+    word: playback.word,
+    positionMs,
+    durationMs: playback.durationMs,
+  };
+}
+
 /**
  * Stop all playing audio
  */
 export async function stopAllAudio() {
+  playback = null;
   for (const [word, sound] of audioCache) {
     try {
       await sound.stopAsync();
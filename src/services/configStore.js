@@ -0,0 +1,186 @@
+/**
+ * Config Store Service
+ * Runtime editing of src/config.js values (tuning panel)
+ *
+ * Edits mutate the shared `config` object in place, so everything that reads
+ * config at use time sees the new value immediately. Code that copies values
+ * at construction (e.g. GameCore bodies) subscribes and re-applies them.
+ *
+ * Values are addressed by dot paths, e.g. 'physics.mascot.restitution'.
+ * Presets store only the values that differ from the defaults.
+ */
+
+import { Platform, Share } from 'react-native';
+import { config } from '../config';
+import { loadValue, saveValue } from './localStore';
+
+const PRESETS_KEY = 'configPresets';
+
+// Snapshot of config.js as shipped, for resets and diffs
+const defaults = JSON.parse(JSON.stringify(config));
+
+const listeners = new Set();
+
+function readPath(source, path) {
+  return path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), source);
+}
+
+function writePath(target, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => node[key], target);
+  parent[last] = value;
+}
+
+function notify(path, value) {
+  listeners.forEach(listener => {
+    try {
+      listener(path, value);
+    } catch (error) {
+      console.warn('Config listener failed:', error);
+    }
+  });
+}
+
+/**
+ * Subscribe to config edits
+ * @param {function} listener - Called with (path, value); path is null for bulk changes
+ * @returns {function} Unsubscribe
+ */
+export function subscribeConfig(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Read a config value by dot path
+ */
+export function getConfigValue(path) {
+  return readPath(config, path);
+}
+
+/**
+ * Read a default (shipped) config value by dot path
+ */
+export function getDefaultValue(path) {
+  return readPath(defaults, path);
+}
+
+/**
+ * Change a config value live
+ */
+export function setConfigValue(path, value) {
+  if (getDefaultValue(path) === undefined) {
+    console.warn(`Unknown config path: ${path}`);
+    return;
+  }
+  writePath(config, path, value);
+  notify(path, value);
+}
+
+/**
+ * Values that differ from the defaults, as { path: value }
+ * Only leaf values of edited paths are included (arrays count as leaves)
+ */
+export function getOverrides() {
+  const overrides = {};
+
+  const walk = (current, original, prefix) => {
+    Object.keys(original).forEach(key => {
+      const path = prefix ? `${prefix}.${key}` : key;
+      const value = current[key];
+      const defaultValue = original[key];
+
+      if (defaultValue && typeof defaultValue === 'object' && !Array.isArray(defaultValue)) {
+        walk(value, defaultValue, path);
+      } else if (JSON.stringify(value) !== JSON.stringify(defaultValue)) {
+        overrides[path] = value;
+      }
+    });
+  };
+
+  walk(config, defaults, '');
+  return overrides;
+}
+
+/**
+ * Restore defaults, then apply a set of overrides ({ path: value })
+ */
+export function applyOverrides(overrides) {
+  resetToDefaults({ silent: true });
+  Object.entries(overrides).forEach(([path, value]) => {
+    if (getDefaultValue(path) === undefined) {
+      console.warn(`Skipping unknown config path in preset: ${path}`);
+      return;
+    }
+    writePath(config, path, value);
+  });
+  notify(null, null);
+}
+
+/**
+ * Put every edited value back to its config.js default
+ */
+export function resetToDefaults({ silent = false } = {}) {
+  Object.keys(getOverrides()).forEach(path => {
+    writePath(config, path, JSON.parse(JSON.stringify(getDefaultValue(path))));
+  });
+  if (!silent) {
+    notify(null, null);
+  }
+}
+
+/**
+ * Load saved presets
+ * @returns {Promise<Object>} { [name]: overrides }
+ */
+export async function loadPresets() {
+  return loadValue(PRESETS_KEY, {});
+}
+
+/**
+ * Save the current overrides under a name
+ * @returns {Promise<Object>} All presets after saving
+ */
+export async function savePreset(name) {
+  const presets = await loadPresets();
+  presets[name] = getOverrides();
+  await saveValue(PRESETS_KEY, presets);
+  return presets;
+}
+
+/**
+ * Delete a saved preset
+ * @returns {Promise<Object>} All presets after deleting
+ */
+export async function deletePreset(name) {
+  const presets = await loadPresets();
+  delete presets[name];
+  await saveValue(PRESETS_KEY, presets);
+  return presets;
+}
+
+/**
+ * Export overrides as a JSON file (web download) or share sheet (native)
+ * @param {string} name - Preset name, used for the file name
+ * @param {Object} overrides - { path: value }
+ */
+export async function exportPreset(name, overrides) {
+  const json = JSON.stringify({ name, overrides }, null, 2);
+
+  try {
+    if (Platform.OS === 'web') {
+      const blob = new Blob([json], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `bounsight-preset-${name}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } else {
+      await Share.share({ title: `Bounsight preset: ${name}`, message: json });
+    }
+  } catch (error) {
+    console.warn('Failed to export preset:', error);
+  }
+}
@@ -0,0 +1,39 @@
+/**
+ * Local Store Service
+ * Small persistent key/value store for on-device player data (stats, settings)
+ * AsyncStorage is backed by localStorage on web, native storage on iOS/Android
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const KEY_PREFIX = 'bounsight:';
+
+/**
+ * Load a JSON value
+ * @param {string} key - Storage key (without prefix)
+ * @param {*} fallback - Returned when nothing is stored or loading fails
+ * @returns {Promise<*>}
+ */
+export async function loadValue(key, fallback = null) {
+  try {
+    const raw = await AsyncStorage.getItem(KEY_PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (error) {
+    console.warn(`Failed to load "${key}" from local storage:`, error);
+    return fallback;
+  }
+}
+
+/**
+ * Save a JSON value
+ * @param {string} key - Storage key (without prefix)
+ * @param {*} value - Any JSON-serializable value
+ * @returns {Promise<void>}
+ */
+export async function saveValue(key, value) {
+  try {
+    await AsyncStorage.setItem(KEY_PREFIX + key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Failed to save "${key}" to local storage:`, error);
+  }
+}
@@ -35,6 +35,8 @@ export async function playSound(name) {
       'wall-bump': require('../sfx/wall-bump.wav'),
       'click': require('../sfx/click.wav'),
       'expand-card': require('../sfx/expand-card.wav'),
+      'combo': require('../sfx/combo.wav'),
+      'gelato-rejected': require('../sfx/gelato-rejected.wav'),
     };
 
     const source = soundMap[name];
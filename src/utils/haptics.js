@@ -0,0 +1,65 @@
+import { Platform } from 'react-native';
+import * as Haptics from 'expo-haptics';
+import { config } from '../config';
+import { loadValue, saveValue } from '../services/localStore';
+
+// Config strength names -> expo-haptics feedback
+const IMPACT_STYLES = {
+  light: Haptics.ImpactFeedbackStyle.Light,
+  medium: Haptics.ImpactFeedbackStyle.Medium,
+  heavy: Haptics.ImpactFeedbackStyle.Heavy,
+  soft: Haptics.ImpactFeedbackStyle.Soft,
+  rigid: Haptics.ImpactFeedbackStyle.Rigid,
+};
+
+const NOTIFICATION_TYPES = {
+  success: Haptics.NotificationFeedbackType.Success,
+  warning: Haptics.NotificationFeedbackType.Warning,
+  error: Haptics.NotificationFeedbackType.Error,
+};
+
+// Player preference (persisted)
+let hapticsEnabled = true;
+
+// Whether this platform can vibrate (web is a no-op)
+export function isHapticsSupported() {
+  return Platform.OS !== 'web';
+}
+
+// Whether haptics will fire (supported and not turned off by the player)
+export function isHapticsEnabled() {
+  return isHapticsSupported() && hapticsEnabled;
+}
+
+// Turn haptics on/off and remember the choice
+export async function setHapticsEnabled(enabled) {
+  hapticsEnabled = enabled;
+  await saveValue('hapticsEnabled', enabled);
+}
+
+// Restore the player's haptics preference (call once at startup)
+export async function loadHapticsPreference() {
+  hapticsEnabled = await loadValue('hapticsEnabled', true);
+  return hapticsEnabled;
+}
+
+// Fire the haptic configured for an event (key of config.haptics, e.g. 'bounce')
+export async function triggerHaptic(event) {
+  if (!isHapticsEnabled()) return;
+
+  const strength = config.haptics[event];
+
+  try {
+    if (IMPACT_STYLES[strength]) {
+      await Haptics.impactAsync(IMPACT_STYLES[strength]);
+    } else if (NOTIFICATION_TYPES[strength]) {
+      await Haptics.notificationAsync(NOTIFICATION_TYPES[strength]);
+    } else if (strength === 'selection') {
+      await Haptics.selectionAsync();
+    } else {
+      console.warn(`Unknown haptic "${strength}" for ${event}`);
+    }
+  } catch (error) {
+    console.warn(`Failed to trigger haptic for ${event}:`, error);
+  }
+}